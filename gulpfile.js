@@ -24,6 +24,7 @@ var gulp = require('gulp'),
     source = require('vinyl-source-stream'),
     gutil = require('gulp-util'),
     babelify = require('babelify'),
+    babel = require('gulp-babel'),
     uglify = require('gulp-uglify'),
     streamify = require('gulp-streamify'),
     runSequence = require('run-sequence'),
@@ -33,10 +34,11 @@ var gulp = require('gulp'),
     shell = require('gulp-shell');
 var version = null;
 
-function createBundle(url) {
+function createBundle(url, standalone) {
   return browserify({
     entries: [url],
-    debug: !isProd
+    debug: !isProd,
+    standalone: standalone
   }).transform(babelify, { presets: ['es2015'] });
 }
 
@@ -77,12 +79,24 @@ var bundles = {
   'flip': {
     url: './src/flip.js',
     name: 'flip.js'
+  },
+  'flip.umd': {
+    url: './src/umd.js',
+    name: 'flip.umd.js',
+    standalone: 'FLIP'
   }
 };
 
+function buildModules(dest, presets) {
+  return gulp.src(['./src/*.js', '!./src/flip.js', '!./src/umd.js'])
+    .pipe(babel({ presets: presets }))
+    .pipe(replace(/@VERSION@/g, version))
+    .pipe(gulp.dest(dest));
+}
+
 /** Clean */
 gulp.task('clean', function() {
-  return del(['dist']);
+  return del(['dist', 'lib', 'es']);
 });
 
 /** Scripts */
@@ -93,6 +107,15 @@ gulp.task('scripts', function() {
   }
 })
 
+/** Modules */
+gulp.task('lib', ['getversion'], function() {
+  return buildModules('./lib/', ['es2015']);
+});
+
+gulp.task('es', ['getversion'], function() {
+  return buildModules('./es/', [['es2015', { modules: false }]]);
+});
+
 /** Watches */
 gulp.task('watch', function() {
   watchBundles();
@@ -109,7 +132,8 @@ gulp.task('getversion', function() {
   var key = null;
   for (var b = 0; b < bundleKeys.length; b++) {
     key = bundleKeys[b];
-    bundles[key].bundle = createBundle(bundles[key].url);
+    bundles[key].bundle = createBundle(bundles[key].url,
+        bundles[key].standalone);
   }
 })();
 
@@ -121,7 +145,8 @@ gulp.task('bump', function() {
 
 gulp.task('default', function() {
   isProd = true;
-  return runSequence('clean', 'bump', 'getversion', 'scripts', 'docs');
+  return runSequence('clean', 'bump', 'getversion', 'scripts', 'lib', 'es',
+      'docs');
 });
 
 gulp.task('docs', shell.task(
@@ -0,0 +1,134 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Animates the children of a container across an update made by something
+ * else, like a framework re-rendering. The framework bindings call
+ * <code>beforeUpdate()</code> while the DOM still shows the old state, and
+ * <code>afterUpdate()</code> once the new state is in.
+ */
+export default class FlipBinding {
+
+  /**
+   * Creates a new binding.
+   *
+   * @param {Function} FLIP - The FLIP class, used to create the helpers.
+   * @param {Object} [options] - The configuration for the binding. Anything
+   *  not listed here is passed on to each FLIP helper.
+   * @param {String} [options.children] - A selector for the children to
+   *  animate. Defaults to all of them.
+   * @param {Number|Function|Object} [options.stagger=0] - How to offset each
+   *  child's animation. See {@link FlipGroup}.
+   */
+  constructor (FLIP, options={}) {
+
+    let defaults = {
+      children: null,
+      stagger: 0
+    };
+
+    let config = Object.assign({}, defaults, options);
+
+    this.FLIP_ = FLIP;
+    this.children_ = config.children;
+    this.stagger_ = config.stagger;
+    this.flips_ = new Map();
+
+    delete config.children;
+    delete config.stagger;
+    this.flipOptions_ = config;
+  }
+
+  /**
+   * Takes the First snapshot of each child, before the update.
+   *
+   * @param {HTMLElement} container - The element whose children animate.
+   */
+  beforeUpdate (container) {
+    this.FLIP_.group(this.getChildren_(container)
+        .map(element => this.getFlip_(element))).first();
+  }
+
+  /**
+   * Animates each child from its First snapshot to where the update put it.
+   * Children the update added only animate if there's an
+   * <code>enter</code> option for them to animate in from.
+   *
+   * @param {HTMLElement} container - The element whose children animate.
+   * @returns {Promise} A Promise that resolves once every child has finished
+   *  animating.
+   */
+  afterUpdate (container) {
+
+    let children = this.getChildren_(container);
+
+    // Forget children that have gone.
+    this.flips_.forEach((flip, element) => {
+
+      if (children.indexOf(element) === -1)
+        this.flips_.delete(element);
+    });
+
+    let flips = children
+        .map(element => this.getFlip_(element))
+        .filter(flip => flip.first_.layout !== null || flip.enter_ !== null);
+
+    let group = this.FLIP_.group(flips, { stagger: this.stagger_ });
+
+    group.last();
+    group.invert();
+
+    return group.play();
+  }
+
+  /**
+   * Gets the children of the container to animate.
+   *
+   * @private
+   * @param {HTMLElement} container - The container.
+   * @returns {Array} The children, in DOM order.
+   */
+  getChildren_ (container) {
+
+    let children = Array.from(container.children);
+
+    if (this.children_ === null)
+      return children;
+
+    return children.filter(child => child.matches(this.children_));
+  }
+
+  /**
+   * Gets the FLIP helper for a child, creating one if the child is new.
+   *
+   * @private
+   * @param {HTMLElement} element - The child.
+   * @returns {FLIP} The helper.
+   */
+  getFlip_ (element) {
+
+    let flip = this.flips_.get(element);
+
+    if (typeof flip !== 'undefined')
+      return flip;
+
+    flip = new this.FLIP_(Object.assign({}, this.flipOptions_, { element }));
+    this.flips_.set(element, flip);
+    return flip;
+  }
+}
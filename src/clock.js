@@ -0,0 +1,189 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * @typedef Clock
+ * @type Object
+ * @property {Function} now - Returns the current time in milliseconds.
+ * @property {Function} requestFrame - Schedules a callback for the next
+ *  frame, and returns an id for it.
+ * @property {Function} cancelFrame - Cancels a scheduled callback by its id.
+ * @property {Function} [setTimeout] - Schedules a callback for after a
+ *  delay in milliseconds, and returns an id for it. Clocks without one fall
+ *  back to <code>window.setTimeout</code>.
+ * @property {Function} [clearTimeout] - Cancels a callback scheduled with
+ *  <code>setTimeout</code> by its id.
+ */
+
+/**
+ * The clock that uses the browser's own time and frames.
+ *
+ * @private
+ * @type Clock
+ */
+const browserClock = {
+  now: () => window.performance.now(),
+  requestFrame: callback => window.requestAnimationFrame(callback),
+  cancelFrame: id => window.cancelAnimationFrame(id),
+  setTimeout: (callback, delay) => window.setTimeout(callback, delay),
+  clearTimeout: id => window.clearTimeout(id)
+};
+
+/**
+ * The clock set with <code>setClock()</code>, if any.
+ *
+ * @private
+ * @type Clock
+ */
+let globalClock = null;
+
+/**
+ * Sets the clock used by every FLIP helper that wasn't given one of its own.
+ *
+ * @param {Clock|null} clock - The clock, or <code>null</code> to go back to
+ *  the browser's.
+ */
+export function setClock (clock) {
+  globalClock = clock;
+}
+
+/**
+ * Gets the clock used by FLIP helpers that weren't given one of their own.
+ *
+ * @returns {Clock} The clock.
+ */
+export function getClock () {
+  return globalClock || browserClock;
+}
+
+/**
+ * A clock whose time only moves when told to, for stepping through
+ * animations frame by frame in tests.
+ */
+export class VirtualClock {
+
+  /**
+   * Creates a new virtual clock.
+   *
+   * @param {Number} [time=0] - The time to start at, in milliseconds.
+   */
+  constructor (time=0) {
+    this.time_ = time;
+    this.callbacks_ = new Map();
+    this.timers_ = new Map();
+    this.nextId_ = 1;
+  }
+
+  /**
+   * Gets the current time.
+   *
+   * @returns {Number} The time in milliseconds.
+   */
+  now () {
+    return this.time_;
+  }
+
+  /**
+   * Schedules a callback for the next frame.
+   *
+   * @param {Function} callback - Called with the time of the frame.
+   * @returns {Number} The id of the callback.
+   */
+  requestFrame (callback) {
+    let id = this.nextId_++;
+    this.callbacks_.set(id, callback);
+    return id;
+  }
+
+  /**
+   * Cancels a scheduled callback.
+   *
+   * @param {Number} id - The id of the callback.
+   */
+  cancelFrame (id) {
+    this.callbacks_.delete(id);
+  }
+
+  /**
+   * Schedules a callback for after a delay.
+   *
+   * @param {Function} callback - The callback.
+   * @param {Number} [delay=0] - The delay in milliseconds.
+   * @returns {Number} The id of the callback.
+   */
+  setTimeout (callback, delay=0) {
+    let id = this.nextId_++;
+    this.timers_.set(id, { callback, time: this.time_ + delay });
+    return id;
+  }
+
+  /**
+   * Cancels a callback scheduled with <code>setTimeout()</code>.
+   *
+   * @param {Number} id - The id of the callback.
+   */
+  clearTimeout (id) {
+    this.timers_.delete(id);
+  }
+
+  /**
+   * Moves time on and runs one frame, then any timeouts that have come due,
+   * in the order they're due. Callbacks scheduled during the frame run in
+   * the next one.
+   *
+   * @param {Number} [duration=16] - How far to move time on, in milliseconds.
+   */
+  tick (duration=16) {
+
+    let callbacks = Array.from(this.callbacks_.values());
+
+    this.time_ += duration;
+    this.callbacks_.clear();
+    callbacks.forEach(callback => callback(this.time_));
+
+    let due = Array.from(this.timers_)
+        .filter(([, timer]) => timer.time <= this.time_)
+        .sort(([, a], [, b]) => a.time - b.time);
+
+    due.forEach(([id, timer]) => {
+
+      // An earlier timeout may have cleared it.
+      if (!this.timers_.has(id))
+        return;
+
+      this.timers_.delete(id);
+      timer.callback();
+    });
+  }
+
+  /**
+   * Moves time on by running frames until the duration has passed.
+   *
+   * @param {Number} duration - How far to move time on, in milliseconds.
+   * @param {Number} [frameDuration=16] - How long each frame is.
+   */
+  advance (duration, frameDuration=16) {
+
+    let remaining = duration;
+
+    while (remaining > 0) {
+      this.tick(Math.min(frameDuration, remaining));
+      remaining -= frameDuration;
+    }
+  }
+}
@@ -16,6 +16,45 @@
 
 'use strict';
 
+import { parseEasing, sampleEasing, fromSamples } from './easing';
+import FlipGroup from './group';
+import FlipList from './list';
+import FlipLayout from './layout';
+import FlipShared from './shared';
+import FlipObserver from './observe';
+import { createSpring } from './spring';
+import { interpolate } from './interpolate';
+import { decompose, interpolateTransform, isIdentity, toCSS }
+    from './matrix';
+import { setClock, getClock, VirtualClock } from './clock';
+import { schedule, read, write, batch } from './scheduler';
+import { setMotionPolicy, isMotionReduced } from './motion';
+import { parsePresence, isEmpty, toPresenceSnapshot, hold } from './presence';
+import { setDebug, isDebugging, record, getStats, countDroppedFrames,
+    drawOverlay, removeOverlay } from './debug';
+
+/**
+ * The longest a reduced motion fade lasts, in milliseconds.
+ *
+ * @private
+ */
+const REDUCED_MOTION_FADE_DURATION = 150;
+
+/**
+ * The version of the descriptors made by <code>toDescriptor()</code>.
+ *
+ * @private
+ */
+const DESCRIPTOR_VERSION = 1;
+
+/**
+ * The smallest scale that is corrected for. An element scaled down to
+ * nothing can't be counter-scaled, so it's treated as this small instead.
+ *
+ * @private
+ */
+const MIN_CORRECTED_SCALE = 1e-4;
+
 /**
  * Helper class for FLIP animations. FLIP is an approach to animations that
  * takes remaps animating expensive properties, like width, height, left and top
@@ -41,6 +80,103 @@ export default class FLIP {
     return '@VERSION@';
   }
 
+  /**
+   * Returns the virtual clock class, whose time only moves when told to. Pass
+   * an instance to <code>FLIP.setClock()</code>, or as the
+   * <code>clock</code> of a helper, to step through animations in tests.
+   *
+   * @static
+   * @returns {Function} The VirtualClock class.
+   */
+  static get VirtualClock () {
+    return VirtualClock;
+  }
+
+  /**
+   * Sets the clock and frame scheduler used by every helper that wasn't
+   * given one of its own.
+   *
+   * @static
+   * @param {Clock|null} clock - An object with <code>now()</code>,
+   *  <code>requestFrame(callback)</code> and <code>cancelFrame(id)</code>
+   *  functions, or <code>null</code> to go back to the browser's
+   *  <code>performance.now()</code> and
+   *  <code>requestAnimationFrame()</code>.
+   */
+  static setClock (clock) {
+    setClock(clock);
+  }
+
+  /**
+   * Calls the function, holding back the measurements and style changes of
+   * every <code>first()</code>, <code>last()</code> and <code>invert()</code>
+   * made during it. Once it returns, all the measurements are taken together,
+   * then all the style changes are made together, so that helpers don't
+   * force a layout each. Snapshots aren't available until the batch ends.
+   *
+   * @static
+   * @param {Function} fn - The function that calls the helpers.
+   */
+  static batch (fn) {
+    batch(fn);
+  }
+
+  /**
+   * Switches debugging on or off, clearing any stats. While on,
+   * measurements that force a synchronous layout outside of
+   * <code>FLIP.batch()</code> are logged, and each animation's stats are
+   * recorded for <code>FLIP.stats()</code> and fired in a
+   * <code>flipStats</code> event on its element.
+   *
+   * @static
+   * @param {Boolean|Object} options - Whether to debug, or
+   *  <code>{ overlay: true }</code> to also outline the First and Last
+   *  snapshots of every helper while it animates.
+   */
+  static setDebug (options) {
+    setDebug(options);
+  }
+
+  /**
+   * Gets the stats recorded since debugging was switched on. Each
+   * animation's stats have its <code>type</code>, <code>'flip'</code> or
+   * <code>'group'</code>, and the <code>planned</code> and
+   * <code>actual</code> time it took from its start time, in milliseconds.
+   * A helper's stats also have its <code>element</code>, its
+   * <code>player</code>, its <code>outcome</code>, how long its
+   * <code>first()</code> and <code>last()</code> took to
+   * <code>measure</code>, and the times of its <code>frames</code> and how
+   * many of them were <code>droppedFrames</code>. Only players that render
+   * frames themselves, like <code>'rAF'</code>, record frames. A group's
+   * stats have the number of <code>members</code>, the total time they
+   * took to <code>measure</code>, and the times of the frames any of them
+   * rendered. Groups fire their own <code>flipStats</code> event on their
+   * first member's element.
+   *
+   * @static
+   * @returns {Object} The number of <code>forcedLayouts</code>, and the
+   *  stats of up to the last 100 <code>animations</code>, oldest first.
+   */
+  static stats () {
+    return getStats();
+  }
+
+  /**
+   * Sets whether helpers animate in full or reduce their motion. By default
+   * they follow the user's <code>prefers-reduced-motion</code> setting. When
+   * motion is reduced, each helper does whatever its
+   * <code>reducedMotion</code> option says, and still fires its events and
+   * resolves its Promise as usual.
+   *
+   * @static
+   * @param {String} policy - <code>'auto'</code> to follow the user's
+   *  setting, <code>'reduce'</code> to always reduce motion, or
+   *  <code>'full'</code> to always animate.
+   */
+  static setMotionPolicy (policy) {
+    setMotionPolicy(policy);
+  }
+
   /**
    * Extends FLIP to be able to play. Allows for the use of libraries when it
    * comes to playback. The functions in the player object are all copied and
@@ -49,6 +185,13 @@ export default class FLIP {
    * @param {String} name - The name of the player, e.g. <code>'rAF'</code>.
    * @param {Object} player - The object with the playback functions.
    * @param {Function} player.play_ - The playback function to use.
+   * @param {Function} player.pause_ - Pauses playback.
+   * @param {Function} player.resume_ - Resumes paused playback.
+   * @param {Function} player.seek_ - Jumps playback to a progress value
+   *  between 0 and 1, and optionally holds it there for a wait in
+   *  milliseconds, as if in its delay, before carrying on.
+   * @param {Function} player.reverse_ - Flips the direction of playback.
+   * @param {Function} player.cancel_ - Stops playback without completing.
    */
   static extend (name, player) {
 
@@ -61,25 +204,28 @@ export default class FLIP {
     if (typeof player.play_ === 'undefined')
       console.warn('Player does not contain a play_() function');
 
+    ['pause_', 'resume_', 'seek_', 'reverse_', 'cancel_'].forEach(fn => {
+      if (typeof player[fn] === 'undefined')
+        console.warn(`Player does not contain a ${fn}() function`);
+    });
+
     this.players_[name] = player;
   }
 
   /**
-   * @typedef FlipGroup
-   * @type Object
-   * @property {Array} flips_ - The FLIP helpers.
-   * @property {Function} first - Calls <code>first()</code> against all
-   *  FLIP helpers.
-   * @property {Function} last - Calls <code>last()</code> against all
-   *  FLIP helpers.
-   * @property {Function} invert - Calls <code>invert()</code> against all
-   *  FLIP helpers.
-   * @property {Function} play - Calls <code>play()</code> against all
-   *  FLIP helpers.
-   * @property {Function} addClass - Adds a class to all elements in the group.
-   * @property {Function} removeClass - Removes a class from all elements in
-   *  the group.
+   * Creates an easing function that follows a damped spring, for use as the
+   * <code>easing</code> of any player. The function has a
+   * <code>duration</code> property, which is used as the helper's duration
+   * unless one is given.
+   *
+   * @static
+   * @param {Object} [options] - The stiffness, damping and mass of the
+   *  spring. See the <code>spring</code> option of the constructor.
+   * @returns {Function} The easing function.
    */
+  static spring (options) {
+    return createSpring(options);
+  }
 
   /**
    * Creates a group of FLIP helpers, usually used when you want to have some
@@ -87,64 +233,120 @@ export default class FLIP {
    * elements.
    *
    * @static
+   * @param {Array} flips - The members of the group. Each is either a config
+   *  object for a new FLIP helper, an existing FLIP helper, or another group.
+   * @param {Object} [options] - The configuration for the group. See
+   *  {@link FlipGroup} for the stagger and sequence options.
    * @returns {FlipGroup} An object which has the same API as an individual FLIP
    *  helper, but controls the group as a whole.
    */
-  static group (flips) {
+  static group (flips, options) {
 
     if (!Array.isArray(flips))
       throw new Error ('group() expects an array of objects.');
 
-    // Wrap each in a FLIP helper.
-    flips = flips.map(flip => new FLIP(flip));
-
-    return {
-
-      flips_: flips,
-
-      addClass: (className) => {
-        flips.forEach(flip => flip.addClass(className));
-      },
-
-      removeClass: (className) => {
-        flips.forEach(flip => flip.removeClass(className));
-      },
-
-      first: () => {
-        flips.forEach(flip => flip.first());
-      },
+    // Wrap each in a FLIP helper, unless it's already a helper or a group.
+    flips = flips.map(flip => {
 
-      last: (lastClassName) => {
+      if (flip instanceof FLIP || flip instanceof FlipGroup)
+        return flip;
 
-        // To avoid layout thrashing apply all the classes up front
-        // then do a second pass where last() is called.
-        flips.forEach((flip, index) => {
-
-          let className = lastClassName;
-
-          if (Array.isArray(lastClassName))
-            className = lastClassName[index];
-
-          if (typeof className !== 'undefined')
-            flip.element_.classList.add(className);
+      return new FLIP(flip);
+    });
 
-        });
+    return new FlipGroup(flips, options);
+  }
 
-        flips.forEach(flip => flip.last());
-      },
+  /**
+   * Creates a list, which animates a container's children whenever its
+   * <code>update()</code> function is used to change them.
+   *
+   * @static
+   * @param {HTMLElement} container - The element whose children animate.
+   * @param {Object} [options] - The configuration for the list. See
+   *  {@link FlipList}.
+   * @returns {FlipList} The list.
+   */
+  static list (container, options) {
+    return new FlipList(FLIP, container, options);
+  }
 
-      invert: () => {
-        flips.forEach(flip => flip.invert());
-      },
+  /**
+   * Creates a layout group, which animates a container's children together,
+   * along with the container's height, so that siblings move smoothly when
+   * one of them changes size.
+   *
+   * @static
+   * @param {HTMLElement} container - The element whose layout animates.
+   * @param {Object} [options] - The configuration for the layout group. See
+   *  {@link FlipLayout}.
+   * @returns {FlipLayout} The layout group.
+   */
+  static layout (container, options) {
+    return new FlipLayout(FLIP, container, options);
+  }
 
-      play: (startTime) => {
+  /**
+   * Creates a shared element transition, which animates a target element
+   * from the position of a different source element.
+   *
+   * @static
+   * @param {HTMLElement} source - The element to animate from.
+   * @param {Object} [options] - The configuration for the transition. See
+   *  {@link FlipShared}.
+   * @returns {FlipShared} The transition.
+   */
+  static shared (source, options) {
+    return new FlipShared(FLIP, source, options);
+  }
 
-        if (typeof startTime === 'undefined')
-          startTime = window.performance.now();
+  /**
+   * Starts watching an element's subtree, and FLIPs the elements in it that
+   * are marked with <code>data-flip</code> whenever a change moves them.
+   *
+   * @static
+   * @param {HTMLElement} root - The element whose subtree is watched.
+   * @param {Object} [options] - The configuration for the observer. See
+   *  {@link FlipObserver}.
+   * @returns {FlipObserver} The observer. Call <code>disconnect()</code> on
+   *  it to stop watching.
+   */
+  static observe (root, options) {
+    return new FlipObserver(FLIP, root, options);
+  }
 
-        flips.forEach(flip => flip.play(startTime));
-      }
-    }
+  /**
+   * Creates a helper from a descriptor made by <code>toDescriptor()</code>,
+   * and inverts it, ready to play. The animation is the same as the one
+   * described, but can be played on any element.
+   *
+   * @static
+   * @param {Object} descriptor - The descriptor.
+   * @param {Object} options - The configuration for the helper, including
+   *  its <code>element</code>. Anything here takes precedence over the
+   *  descriptor.
+   * @returns {FLIP} The helper.
+   */
+  static fromDescriptor (descriptor, options={}) {
+
+    if (descriptor.version !== DESCRIPTOR_VERSION)
+      throw new Error(`Unsupported descriptor version: ${descriptor.version}`);
+
+    let flip = new FLIP(Object.assign({
+      duration: descriptor.duration,
+      delay: descriptor.delay,
+      easing: fromSamples(descriptor.easing),
+      mode: descriptor.mode,
+      transform: descriptor.transform,
+      opacity: descriptor.opacity,
+      properties: descriptor.properties.slice()
+    }, options));
+
+    Object.assign(flip.first_, describeSnapshot(descriptor.first));
+    Object.assign(flip.last_, describeSnapshot(descriptor.last));
+    flip.invert();
+
+    return flip;
   }
 
   /**
@@ -154,21 +356,97 @@ export default class FLIP {
    * @param {HTMLElement} config.element - The element on which to operate.
    * @param {Number} [config.duration=1000] - The duration of the animation
    *  in milliseconds.
-   * @param {Function} [config.ease] - The easing function of the animation.
+   * @param {Function|String|Object} [config.easing='linear'] - The easing of
+   *  the animation. Either a function, a CSS timing function like
+   *  <code>'ease-out'</code> or <code>'cubic-bezier(0.4, 0, 0.2, 1)'</code>,
+   *  or a GSAP ease.
    * @param {Boolean} [config.transform=true] - Whether or not to animate
    *  transforms for the element.
    * @param {Boolean} [config.opacity=true] - Whether or not to animate opacity
    *  for the element.
+   * @param {String} [config.mode='scale'] - How size changes are animated.
+   *  <code>'scale'</code> scales the element from its First size, and
+   *  <code>'clip'</code> keeps it at its Last size and clips it to its First
+   *  size, so that its content is revealed rather than stretched. Not
+   *  supported by the <code>'GSAP'</code> player.
+   * @param {Array} [config.properties=[]] - Extra computed styles to animate
+   *  between First and Last, like <code>'backgroundColor'</code> or
+   *  <code>'boxShadow'</code>. Numbers, lengths and colors are interpolated.
+   * @param {Object} [config.spring] - Plays the animation with a damped
+   *  spring rather than an easing. The duration comes from how long the
+   *  spring takes to settle, and when an animation is interrupted, its
+   *  velocity carries into the next one.
+   * @param {Number} [config.spring.stiffness=100] - The spring's stiffness.
+   * @param {Number} [config.spring.damping=10] - The spring's damping.
+   * @param {Number} [config.spring.mass=1] - The mass on the end of the
+   *  spring.
+   * @param {Object} [config.scaleCorrection] - Undoes the distortion that
+   *  scaling causes while the element changes size. Not supported by the
+   *  <code>'GSAP'</code> player.
+   * @param {String|Array} [config.scaleCorrection.children] - A selector for,
+   *  or an Array of, the element's children that should be counter-scaled
+   *  so that their content stays undistorted.
+   * @param {Boolean} [config.scaleCorrection.borderRadius=false] - Whether to
+   *  animate the border radius so that corners stay round.
+   * @param {HTMLElement|FLIP|String} [config.relativeTo] - What to measure
+   *  the element against, rather than the viewport. A scrolling container,
+   *  or <code>'page'</code>, means scrolling between <code>first()</code>
+   *  and <code>last()</code> doesn't count as the element moving. A FLIP
+   *  helper for an ancestor that's animating too means the element only
+   *  animates relative to it, rather than being transformed twice.
+   * @param {String|Object} [config.enter] - What the element animates in
+   *  from when its First snapshot is missing or empty, because it wasn't in
+   *  the document or was hidden. Either a preset: <code>'fade'</code>,
+   *  <code>'scale'</code>, which scales up from a point and fades in, or
+   *  <code>'slide-top'</code>, <code>'slide-right'</code>,
+   *  <code>'slide-bottom'</code> or <code>'slide-left'</code>, which slide in
+   *  from that edge; or a state of the form
+   *  <code>{ opacity, scale, origin, x, y }</code>. The <code>origin</code>
+   *  is where it scales from, like a <code>transform-origin</code>, and
+   *  <code>x</code> and <code>y</code> are offsets in pixels or percentages
+   *  of its size.
+   * @param {String|Object} [config.exit] - What the element animates out to
+   *  when its Last snapshot is missing or empty, in the same form as
+   *  <code>enter</code>. An element that was hidden before
+   *  <code>last()</code> is held where it was until the animation ends. If
+   *  <code>last()</code> isn't called at all, the element is left where it
+   *  is, so remove it once <code>play()</code> resolves.
+   * @param {String} [config.reducedMotion='jump'] - What to do instead of
+   *  animating when motion is reduced: <code>'jump'</code> straight to the
+   *  end, or <code>'fade'</code> in quickly at the end, or out where it
+   *  starts when exiting.
+   * @param {Clock} [config.clock] - The clock and frame scheduler for this
+   *  helper. Defaults to the one set with <code>FLIP.setClock()</code>.
+   * @param {Function} [config.onStart] - Called when <code>play()</code> is
+   *  called.
+   * @param {Function} [config.onUpdate] - Called with the progress of the
+   *  animation, between 0 and 1, each time it is updated. Players that hand
+   *  the animation over to the browser, like <code>'WAAPI'</code>, don't
+   *  call it.
+   * @param {Function} [config.onComplete] - Called when the animation
+   *  completes, just after the <code>flipComplete</code> event.
    */
   constructor (options={}) {
 
     let defaults = {
       duration: 330,
       delay: 0,
-      easing: function (t) { return t; },
+      easing: 'linear',
       transform: true,
       opacity: true,
-      play: 'rAF'
+      mode: 'scale',
+      play: 'rAF',
+      properties: [],
+      spring: null,
+      scaleCorrection: {},
+      clock: null,
+      relativeTo: null,
+      enter: null,
+      exit: null,
+      reducedMotion: 'jump',
+      onStart: function () {},
+      onUpdate: function () {},
+      onComplete: function () {}
     };
 
     let config = Object.assign({}, defaults, options);
@@ -176,6 +454,18 @@ export default class FLIP {
     if (typeof config.element === 'undefined')
       throw new Error('Element must be provided.');
 
+    if (config.mode !== 'scale' && config.mode !== 'clip')
+      throw new Error(`Unknown mode: ${config.mode}`);
+
+    // CSS timing functions are kept for the players that can hand them
+    // straight to the browser, and turned into functions for everything else.
+    let easingName = null;
+
+    if (typeof config.easing === 'string') {
+      easingName = config.easing;
+      config.easing = parseEasing(easingName);
+    }
+
     // If the easing property is not a function, check for a TweenMax/Lite style
     // object with a getRatio function, and, if that exists, use it, otherwise
     // throw an error.
@@ -187,15 +477,31 @@ export default class FLIP {
       }
     }
 
+    // Springs know how long they take to settle.
+    if (typeof config.easing.duration === 'number' &&
+        typeof options.duration === 'undefined') {
+      config.duration = config.easing.duration;
+    }
+
     this.element_ = config.element;
     this.first_ = {
       layout: null,
-      opacity: 0
+      opacity: 0,
+      transform: decompose('none'),
+      borderRadius: null,
+      properties: {},
+      reference: null,
+      display: null
     };
 
     this.last_ = {
       layout: null,
-      opacity: 0
+      opacity: 0,
+      transform: decompose('none'),
+      borderRadius: null,
+      properties: {},
+      reference: null,
+      display: null
     };
 
     this.invert_ = {
@@ -203,16 +509,62 @@ export default class FLIP {
     };
 
     this.start_ = 0;
+    this.clock_ = config.clock;
+    this.relativeTo_ = config.relativeTo;
+    this.enter_ = parsePresence(config.enter);
+    this.exit_ = parsePresence(config.exit);
+    this.exiting_ = false;
+    this.holdExit_ = false;
+    this.held_ = null;
+    this.playing_ = false;
+    this.paused_ = false;
+    this.reversed_ = false;
+    this.velocity_ = { x: 0, y: 0 };
+    this.spring_ = config.spring;
     this.duration_ = config.duration;
     this.delay_ = config.delay;
     this.easing_ = config.easing;
+    this.easingName_ = easingName;
     this.updateTransform_ = config.transform;
     this.updateOpacity_ = config.opacity;
+    this.mode_ = config.mode;
+    this.hasAuthoredTransform_ = false;
+    this.inlineTransform_ = null;
+    this.clearedTransform_ = null;
+    this.inlineProperties_ = null;
+    this.inlineBorderRadius_ = null;
+    this.inlineChildStyles_ = new Map();
+    this.properties_ = config.properties;
+    this.correctChildren_ = config.scaleCorrection.children || [];
+    this.correctBorderRadius_ = !!config.scaleCorrection.borderRadius;
+    this.correctedChildren_ = [];
+    this.onStart_ = config.onStart;
+    this.onUpdate_ = config.onUpdate;
+    this.onComplete_ = config.onComplete;
+    this.resolvePlay_ = null;
+    this.reducedMotion_ = config.reducedMotion;
+    this.motionOverrides_ = null;
+    this.playerName_ = config.play;
+    this.measureCost_ = { first: 0, last: 0 };
+    this.stats_ = null;
+    this.lastStats_ = null;
+    this.overlay_ = [];
+
+    this.usePlayer_(config.play);
+  }
+
+  /**
+   * Switches the helper over to a registered player.
+   *
+   * @private
+   * @param {String} name - The name of the player, e.g. <code>'rAF'</code>.
+   */
+  usePlayer_ (name) {
 
-    let player = FLIP.players_[config.play];
+    let player = FLIP.players_[name];
 
     if (typeof player === 'undefined')
-      throw new Error(`Unknown player type: ${config.play}`);
+      throw new Error(`Unknown player type: ${name}`);
 
     // Take a copy of the player's functions and bind them on so that
     // they can be used by this FLIP Helper instance.
@@ -262,12 +614,18 @@ export default class FLIP {
   }
 
   /**
-   * Snapshots the layout and opacity information for the element.
+   * Snapshots the layout and opacity information for the element. If the
+   * element is still animating from a previous FLIP, that animation is
+   * interrupted, and the new First is wherever the element currently appears
+   * to be, so the next animation carries on smoothly from there.
    */
   first () {
-    this.first_.layout = this.element_.getBoundingClientRect();
-    this.first_.opacity =
-        parseFloat(window.getComputedStyle(this.element_).opacity);
+    schedule(this, this.getSnapshotSteps_(this.first_).concat([
+      write(() => {
+        if (this.playing_)
+          this.interrupt_();
+      })
+    ]));
   }
 
   /**
@@ -279,12 +637,137 @@ export default class FLIP {
    */
   last (lastClassName) {
 
+    let steps = this.getSnapshotSteps_(this.last_);
+
     if (typeof lastClassName !== 'undefined')
-      this.addClass(lastClassName);
+      steps.unshift(write(() => this.addClass(lastClassName)));
+
+    schedule(this, steps);
+  }
+
+  /**
+   * Gets the steps that snapshot the element. Any transform on the element
+   * is recorded separately, and left out of the layout, so that the element
+   * can animate between its own transforms rather than losing them. Taking
+   * the transform off and putting it back are writes of their own, so that
+   * in a batch every element is measured in one go.
+   *
+   * @private
+   * @param {Object} snapshot - Either <code>first_</code> or
+   *  <code>last_</code>.
+   * @returns {Array} The steps.
+   */
+  getSnapshotSteps_ (snapshot) {
+    return [
+      read(() => this.readTransform_(snapshot)),
+      write(() => this.clearTransform_()),
+      read(() => this.takeSnapshot_(snapshot)),
+      write(() => this.restoreTransform_())
+    ];
+  }
+
+  /**
+   * Records the element's transform, and notes whether it needs taking off
+   * to measure the element.
+   *
+   * @private
+   * @param {Object} snapshot - Either <code>first_</code> or
+   *  <code>last_</code>.
+   */
+  readTransform_ (snapshot) {
+
+    let style = window.getComputedStyle(this.element_);
+    let transform = style.transform;
+
+    snapshot.transform = decompose('none');
+    this.clearedTransform_ = null;
+
+    if (!this.updateTransform_ || !transform || transform === 'none')
+      return;
+
+    snapshot.transform = decompose(transform, style.transformOrigin);
+    this.clearedTransform_ = this.element_.style.transform;
+  }
+
+  /**
+   * Takes the element's transform off, if it has one, so that it can be
+   * measured without it.
+   *
+   * @private
+   * @returns {Boolean} Whether anything was written.
+   */
+  clearTransform_ () {
+
+    if (this.clearedTransform_ === null)
+      return false;
+
+    this.element_.style.transform = 'none';
+    return true;
+  }
+
+  /**
+   * Puts back the transform taken off by <code>clearTransform_()</code>.
+   *
+   * @private
+   * @returns {Boolean} Whether anything was written.
+   */
+  restoreTransform_ () {
+
+    if (this.clearedTransform_ === null)
+      return false;
+
+    this.element_.style.transform = this.clearedTransform_;
+    this.clearedTransform_ = null;
+    return true;
+  }
+
+  /**
+   * Records the element's layout and styles, once its transform has been
+   * read and taken off.
+   *
+   * @private
+   * @param {Object} snapshot - Either <code>first_</code> or
+   *  <code>last_</code>.
+   */
+  takeSnapshot_ (snapshot) {
+
+    let start = this.now_();
+    let style = window.getComputedStyle(this.element_);
+
+    snapshot.layout = this.element_.getBoundingClientRect();
+
+    snapshot.reference = this.getReference_();
+
+    if (snapshot.reference !== null) {
+      snapshot.layout = {
+        left: snapshot.layout.left - snapshot.reference.left,
+        top: snapshot.layout.top - snapshot.reference.top,
+        width: snapshot.layout.width,
+        height: snapshot.layout.height
+      };
+    }
+
+    snapshot.opacity = parseFloat(style.opacity);
+    snapshot.display = style.display;
+    snapshot.properties = {};
+
+    this.properties_.forEach(property => {
+      snapshot.properties[property] = style[property];
+    });
+
+    if (this.correctBorderRadius_) {
+      snapshot.borderRadius = [
+        style.borderTopLeftRadius,
+        style.borderTopRightRadius,
+        style.borderBottomRightRadius,
+        style.borderBottomLeftRadius
+      ].map(radius => parseRadius(radius, snapshot.layout));
+    }
 
-    this.last_.layout = this.element_.getBoundingClientRect();
-    this.last_.opacity =
-        parseFloat(window.getComputedStyle(this.element_).opacity);
+    if (isDebugging()) {
+      let name = (snapshot === this.first_ ? 'first' : 'last');
+      this.measureCost_[name] = this.now_() - start;
+    }
   }
 
   /**
@@ -292,125 +775,1157 @@ export default class FLIP {
    * changes to its transform and opacity values.
    */
   invert () {
+    schedule(this, [
+      write(() => this.holdExiting_()),
+      read(() => {
+        if (this.held_ !== null)
+          this.held_.measure();
+      }),
+      write(() => this.applyInvert_())
+    ]);
+  }
+
+  /**
+   * Puts an exiting element that's been hidden back where it was, so that
+   * it can animate out. It's only placed properly once it's been measured,
+   * which is left to a read phase of its own.
+   *
+   * @private
+   */
+  holdExiting_ () {
+
+    this.resolvePresence_();
+
+    if (this.holdExit_ && this.held_ === null) {
+      this.held_ = hold(this.element_, this.getViewportLayout_(this.first_),
+          this.first_.display);
+    }
+  }
+
+  /**
+   * Works out the invert values from the snapshots, and applies them.
+   *
+   * @private
+   */
+  applyInvert_ () {
 
     let willChange = [];
 
-    if (this.first_.layout === null)
-      throw new Error ('You must call first() before invert()');
+    this.updateInvert_('invert');
 
-    if (this.last_.layout === null)
-      throw new Error ('You must call last() before invert()');
+    if (this.held_ !== null)
+      this.held_.place();
 
-    // Update the invert values.
-    this.invert_.x = this.first_.layout.left - this.last_.layout.left;
-    this.invert_.y = this.first_.layout.top - this.last_.layout.top;
-    this.invert_.sx = this.first_.layout.width / this.last_.layout.width;
-    this.invert_.sy = this.first_.layout.height / this.last_.layout.height;
-    this.invert_.a = this.last_.opacity - this.first_.opacity;
+    if (this.spring_ !== null)
+      this.setSpringEasing_();
 
-    // Apply the transform.
+    // Apply the transform, holding on to any inline one so that it can be
+    // put back afterwards.
     if (this.updateTransform_) {
-      this.element_.style.transformOrigin = '0 0';
-      this.element_.style.transform =
-          `translate(${this.invert_.x}px, ${this.invert_.y}px)
-           scale(${this.invert_.sx}, ${this.invert_.sy})`;
+      if (this.inlineTransform_ === null)
+        this.inlineTransform_ = this.element_.style.transform;
 
+      this.element_.style.transformOrigin = '0 0';
       willChange.push('transform');
+
+      if (this.mode_ === 'clip')
+        willChange.push('clip-path');
     }
 
-    if (this.updateOpacity_) {
-      this.element_.style.opacity = this.first_.opacity;
+    if (this.updateOpacity_)
       willChange.push('opacity');
+
+    // Likewise hold on to the inline values of the extra properties.
+    if (this.inlineProperties_ === null) {
+      this.inlineProperties_ = {};
+      this.properties_.forEach(property => {
+        this.inlineProperties_[property] = this.element_.style[property];
+      });
+    }
+
+    if (this.updateTransform_ && this.mode_ === 'scale' &&
+        this.correctBorderRadius_ && this.inlineBorderRadius_ === null)
+      this.inlineBorderRadius_ = this.element_.style.borderRadius;
+
+    if (this.updateTransform_) {
+      this.correctedChildren_ = this.getCorrectedChildren_();
+      this.correctedChildren_.forEach(child => {
+
+        if (!this.inlineChildStyles_.has(child)) {
+          this.inlineChildStyles_.set(child, {
+            transform: child.style.transform,
+            transformOrigin: child.style.transformOrigin,
+            willChange: child.style.willChange
+          });
+        }
+
+        child.style.transformOrigin = '0 0';
+        child.style.willChange = 'transform';
+      });
     }
 
+    this.applyStylesAt_(0);
     this.element_.style.willChange = willChange.join(',');
+
+    removeOverlay(this.overlay_);
+    this.overlay_ = drawOverlay(this.getViewportLayout_(this.first_),
+        this.getViewportLayout_(this.last_));
   }
 
   /**
-   * Plays the animation.
+   * Works out the invert values from the snapshots.
    *
-   * @param {Number} [startTime] - The time the animation should start (using
-   *  <code>window.performance.now</code> as the source of truth).
+   * @private
+   * @param {String} caller - The name of the public method that needs them,
+   *  for the error if a snapshot is missing.
    */
-  play (startTime) {
+  updateInvert_ (caller) {
 
-    if (this.invert_ === null)
-      throw new Error('invert() must be called before play()');
+    this.resolvePresence_();
 
-    if (typeof this.play_ === 'undefined')
-      throw new Error('No player specified.');
+    if (this.first_.layout === null)
+      throw new Error (`You must call first() before ${caller}()`);
 
-    this.play_(startTime);
+    if (this.last_.layout === null)
+      throw new Error (`You must call last() before ${caller}()`);
+
+    let first = this.getFirstLayout_();
+    let last = this.last_.layout;
+
+    this.invert_.x = first.left - last.left;
+    this.invert_.y = first.top - last.top;
+
+    // An element with no size along an axis can't be scaled from its First
+    // size, so it isn't scaled along that axis at all.
+    this.invert_.sx = (last.width === 0 ? 1 : first.width / last.width);
+    this.invert_.sy = (last.height === 0 ? 1 : first.height / last.height);
+    this.invert_.a = this.last_.opacity - this.first_.opacity;
+
+    this.hasAuthoredTransform_ = !isIdentity(this.first_.transform) ||
+        !isIdentity(this.last_.transform);
   }
 
   /**
-   * Fires an event on the element.
+   * Makes up the missing snapshot of an element that's entering or exiting,
+   * from the snapshot it does have and the <code>enter</code> or
+   * <code>exit</code> state. Both snapshots then have the same layout, and
+   * the element animates between its real transform and opacity and those
+   * of the state.
    *
    * @private
-   * @param {String} eventName - The name of the event.
-   * @param {} [detail=null] - The data to include in the event.
-   * @param {Boolean} [bubbles=true] - Whether the event should bubble.
-   * @param {Boolean} [cancelable=true] - Whether the event is cancelable.
    */
-  fire_ (eventName, detail=null, bubbles=true, cancelable=true) {
-    let evt = new CustomEvent(eventName, { detail, bubbles, cancelable });
-    this.element_.dispatchEvent(evt);
+  resolvePresence_ () {
+
+    let first = this.first_.layout;
+    let last = this.last_.layout;
+
+    if (this.enter_ !== null && isEmpty(first) && !isEmpty(last)) {
+      Object.assign(this.first_, toPresenceSnapshot(this.last_, this.enter_));
+      return;
+    }
+
+    if (this.exit_ !== null && isEmpty(last) && !isEmpty(first)) {
+      this.exiting_ = true;
+      this.holdExit_ = (last !== null);
+      Object.assign(this.last_, toPresenceSnapshot(this.first_, this.exit_));
+    }
   }
 
   /**
-   * Clamps a value to min/max values.
+   * Gets what the element is measured against, if it's not the viewport.
    *
-   * @param {Number} value - The value to clamp.
-   * @param {Number} min=Number.NEGATIVE_INFINITY - The minimum value. Defaults
-   *     to negative infinity.
-   * @param {Number} max=Number.POSITIVE_INFINITY - The maximum value. Defaults
-   *     to positive infinity.
    * @private
+   * @returns {Object|null} The position of the reference's origin in the
+   *  viewport, along with the reference's size.
    */
-  clamp_ (value, min=Number.NEGATIVE_INFINITY, max=Number.POSITIVE_INFINITY) {
-    return Math.min(max, Math.max(min, value));
-  }
+  getReference_ () {
 
-  /**
-   * Function to call to get rid of all the transforms, opacity, internal values
-   * and fire an event for the FLIP completion.
-   */
-  cleanUpAndFireEvent_ () {
-    this.removeTransformsAndOpacity_();
-    this.resetFirstLastAndInvertValues_();
-    this.fire_('flipComplete');
+    let relativeTo = this.relativeTo_;
+
+    if (relativeTo === null)
+      return null;
+
+    if (relativeTo === 'page') {
+      return {
+        left: -window.pageXOffset,
+        top: -window.pageYOffset,
+        width: window.innerWidth,
+        height: window.innerHeight
+      };
+    }
+
+    if (relativeTo instanceof FLIP) {
+      let layout = relativeTo.element_.getBoundingClientRect();
+      return {
+        left: layout.left,
+        top: layout.top,
+        width: layout.width,
+        height: layout.height
+      };
+    }
+
+    // Measure from the top left of the container's scrolled content.
+    let layout = relativeTo.getBoundingClientRect();
+    return {
+      left: layout.left + relativeTo.clientLeft - relativeTo.scrollLeft,
+      top: layout.top + relativeTo.clientTop - relativeTo.scrollTop,
+      width: layout.width,
+      height: layout.height
+    };
   }
 
   /**
-   * Removes all transforms and opacity from the element. This should
-   * stop side-effects if the element has fixed position children that
-   * transition.
+   * Gets the First layout to invert from. When the element is measured
+   * against an ancestor that's being FLIPped as well, the ancestor starts
+   * out scaled to its own First size, and the element with it, so the
+   * element's First layout is scaled back into the ancestor's Last size.
    *
    * @private
+   * @returns {Object} The layout.
    */
-  removeTransformsAndOpacity_ () {
-    this.element_.style.transformOrigin = null;
-    this.element_.style.transform = null;
-    this.element_.style.opacity = null;
-    this.element_.style.willChange = null;
+  getFirstLayout_ () {
+
+    let first = this.first_.layout;
+    let parent = this.relativeTo_;
+
+    if (!(parent instanceof FLIP) || !parent.updateTransform_)
+      return first;
+
+    let firstReference = this.first_.reference;
+    let lastReference = this.last_.reference;
+
+    // Snapshots that weren't measured, like those made up for entering
+    // children, don't have a reference.
+    if (!firstReference || !lastReference ||
+        lastReference.width === 0 || lastReference.height === 0)
+      return first;
+
+    let sx = firstReference.width / lastReference.width;
+    let sy = firstReference.height / lastReference.height;
+
+    return {
+      left: first.left / sx,
+      top: first.top / sy,
+      width: first.width / sx,
+      height: first.height / sy
+    };
   }
 
   /**
-   * Reset the values held by first_, last_, and invert_.
+   * Describes the animation as plain data, which can be turned into JSON,
+   * stored, and played again with <code>FLIP.fromDescriptor()</code>. Call it
+   * once the snapshots have been taken, and before the animation finishes.
    *
-   * @private
+   * @returns {Object} The descriptor, with the snapshots, invert values,
+   *  timing, and the easing sampled into an Array.
    */
-  resetFirstLastAndInvertValues_ () {
-    this.first_.layout = null;
-    this.first_.opacity = 0;
+  toDescriptor () {
+
+    this.updateInvert_('toDescriptor');
+
+    // Roughly one sample per frame at 60fps, like keyframes.
+    let samples = Math.max(20, Math.ceil(this.duration_ / 16));
+    let first = Object.assign({}, this.first_, {
+      layout: this.getFirstLayout_()
+    });
+
+    return {
+      version: DESCRIPTOR_VERSION,
+      duration: this.duration_,
+      delay: this.delay_,
+      easing: sampleEasing(this.easing_, samples).map(round),
+      mode: this.mode_,
+      transform: this.updateTransform_,
+      opacity: this.updateOpacity_,
+      properties: this.properties_.slice(),
+      first: describeSnapshot(first),
+      last: describeSnapshot(this.last_),
+      invert: Object.assign({}, this.invert_)
+    };
+  }
+
+  /**
+   * Plays the animation.
+   *
+   * @param {Number} [startTime] - The time the animation should start (using
+   *  the helper's clock, which defaults to <code>performance.now</code>, as
+   *  the source of truth).
+   * @returns {Promise} A Promise that resolves when playback is done, whether
+   *  it completed, was cancelled, or was interrupted.
+   */
+  play (startTime) {
+
+    if (this.invert_ === null)
+      throw new Error('invert() must be called before play()');
+
+    if (typeof this.play_ === 'undefined')
+      throw new Error('No player specified.');
+
+    // Only one animation can drive the element at a time.
+    if (this.playing_) {
+      this.cancel_();
+      this.reportStats_('interrupt');
+      this.settlePlay_();
+    }
+
+    let played = new Promise(resolve => this.resolvePlay_ = resolve);
+
+    this.playing_ = true;
+    this.paused_ = false;
+    this.reversed_ = false;
+
+    if (isMotionReduced()) {
+      this.reduceMotion_();
+
+      // Jumps happen together, whatever the stagger.
+      if (this.reducedMotion_ === 'jump')
+        startTime = undefined;
+    }
+
+    if (isDebugging())
+      this.startStats_(startTime);
+
+    this.onStart_();
+    this.play_(startTime);
+
+    return played;
+  }
+
+  /**
+   * Pauses the animation. Does nothing if the animation is not playing or is
+   * already paused.
+   */
+  pause () {
+
+    if (!this.playing_ || this.paused_)
+      return;
+
+    this.paused_ = true;
+    this.pause_();
+  }
+
+  /**
+   * Resumes a paused animation from where it was paused.
+   */
+  resume () {
+
+    if (!this.playing_ || !this.paused_)
+      return;
+
+    this.paused_ = false;
+    this.resume_();
+  }
+
+  /**
+   * Jumps the animation to a given point. A paused animation stays paused.
+   *
+   * @param {Number} progress - How far through the animation to jump to,
+   *  between 0 (First) and 1 (Last).
+   */
+  seek (progress) {
+
+    if (!this.playing_)
+      return;
+
+    this.seek_(this.clamp_(progress, 0, 1));
+  }
+
+  /**
+   * Jumps the animation to a time since it started, delay included, so
+   * that a time before the end of the delay leaves the rest of it to wait
+   * out. Groups use this to seek members by their offsets.
+   *
+   * @private
+   * @param {Number} time - The time in milliseconds, which can be negative
+   *  for an animation that shouldn't have started yet.
+   */
+  seekTo_ (time) {
+
+    if (!this.playing_)
+      return;
+
+    let elapsed = time - this.delay_;
+
+    if (elapsed < 0) {
+      this.seek_(0, -elapsed);
+      return;
+    }
+
+    let progress = (this.duration_ === 0 ? 1 : elapsed / this.duration_);
+    this.seek_(this.clamp_(progress, 0, 1));
+  }
+
+  /**
+   * Reverses the direction of the animation. A reversed animation that gets
+   * back to its start removes the inverted styles and fires
+   * <code>flipComplete</code>, so remove whatever class moved the element to
+   * its last position in the event listener.
+   */
+  reverse () {
+
+    if (!this.playing_)
+      return;
+
+    this.reversed_ = !this.reversed_;
+    this.reverse_();
+  }
+
+  /**
+   * Stops the animation, removes the inverted transform and opacity, and
+   * fires a <code>flipCancel</code> event rather than
+   * <code>flipComplete</code>.
+   */
+  cancel () {
+
+    if (!this.playing_)
+      return;
+
+    this.cancel_();
+    this.cleanUpAndFireEvent_('flipCancel');
+  }
+
+  /**
+   * Calculates the transform and opacity values for a point in the animation,
+   * going from the inverted values at 0 to the element's natural ones at 1.
+   *
+   * @private
+   * @param {Number} remappedTime - The eased progress of the animation.
+   * @returns {Object} The styles to apply, keyed by property name.
+   */
+  getStylesAt_ (remappedTime) {
+
+    let styles = {};
+    let update = this.getValuesAt_(remappedTime);
+
+    // The element's own transform sits between the FLIP translate and
+    // scale, so that it's applied to the element at its First size.
+    if (this.updateTransform_) {
+      let transforms = [`translate(${update.x}px, ${update.y}px)`];
+
+      if (this.hasAuthoredTransform_) {
+        transforms.push(toCSS(interpolateTransform(this.first_.transform,
+            this.last_.transform, remappedTime)));
+      }
+
+      if (this.mode_ === 'clip')
+        styles.clipPath = this.getClipAt_(update);
+      else
+        transforms.push(`scale(${update.sx}, ${update.sy})`);
+
+      styles.transform = transforms.join(' ');
+    }
+
+    if (this.updateOpacity_)
+      styles.opacity = update.a;
+
+    this.properties_.forEach(property => {
+      let last = this.last_.properties[property];
+      let first = this.first_.properties[property];
+
+      if (typeof first === 'undefined')
+        first = last;
+
+      styles[property] = interpolate(first, last, remappedTime);
+    });
+
+    if (this.updateTransform_ && this.mode_ === 'scale' &&
+        this.correctBorderRadius_) {
+
+      // A First that was made up rather than measured has no radius.
+      let firstRadii = this.first_.borderRadius || this.last_.borderRadius;
+      let sx = getCorrectedScale(update.sx);
+      let sy = getCorrectedScale(update.sy);
+      let radii = firstRadii.map((first, index) => {
+        let last = this.last_.borderRadius[index];
+        return {
+          x: (first.x + (last.x - first.x) * remappedTime) / sx,
+          y: (first.y + (last.y - first.y) * remappedTime) / sy
+        };
+      });
+
+      styles.borderRadius = radii.map(radius => `${radius.x}px`).join(' ') +
+          ' / ' + radii.map(radius => `${radius.y}px`).join(' ');
+    }
+
+    return styles;
+  }
+
+  /**
+   * Gets the clip that shows as much of the element as its size at a point
+   * in the animation. The element is at its Last size, so it's clipped from
+   * the bottom right, and an element that shrinks isn't clipped at all.
+   *
+   * @private
+   * @param {Object} update - The values from <code>getValuesAt_()</code>.
+   * @returns {String} The <code>clip-path</code>.
+   */
+  getClipAt_ (update) {
+
+    let layout = this.last_.layout;
+    let right = Math.max(0, layout.width * (1 - update.sx));
+    let bottom = Math.max(0, layout.height * (1 - update.sy));
+
+    return `inset(0px ${right}px ${bottom}px 0px)`;
+  }
+
+  /**
+   * Calculates the styles for the counter-scaled children at a point in the
+   * animation.
+   *
+   * @private
+   * @param {Number} remappedTime - The eased progress of the animation.
+   * @returns {Object} The styles to apply to each child.
+   */
+  getChildStylesAt_ (remappedTime) {
+
+    let update = this.getValuesAt_(remappedTime);
+    let sx = getCorrectedScale(update.sx);
+    let sy = getCorrectedScale(update.sy);
+
+    return {
+      transform: `scale(${1 / sx}, ${1 / sy})`
+    };
+  }
+
+  /**
+   * Calculates the raw transform and opacity values for a point in the
+   * animation.
+   *
+   * @private
+   * @param {Number} remappedTime - The eased progress of the animation.
+   * @returns {Object} The translation (x, y), scale (sx, sy) and opacity (a).
+   */
+  getValuesAt_ (remappedTime) {
+    return {
+      x: this.invert_.x * (1 - remappedTime),
+      y: this.invert_.y * (1 - remappedTime),
+      sx: this.invert_.sx + (1 - this.invert_.sx) * remappedTime,
+      sy: this.invert_.sy + (1 - this.invert_.sy) * remappedTime,
+      a: this.first_.opacity + (this.invert_.a) * remappedTime
+    };
+  }
+
+  /**
+   * Samples the animation into keyframes, for players that hand it over to
+   * the browser. The easing is baked into the samples, so the keyframes
+   * should be played back linearly.
+   *
+   * @private
+   * @param {Function} [getStyles] - The function that calculates the styles
+   *  at a point in the animation. Defaults to the element's styles.
+   * @returns {Array} The keyframes, each with an <code>offset</code>.
+   */
+  getKeyframes_ (getStyles=this.getStylesAt_.bind(this)) {
+
+    // Roughly one sample per frame at 60fps.
+    let samples = Math.max(1, Math.ceil(this.duration_ / 16));
+    let keyframes = [];
+    let keyframe;
+    let time;
+
+    for (let s = 0; s <= samples; s++) {
+      time = s / samples;
+      keyframe = getStyles(this.easing_(time));
+      keyframe.offset = time;
+      keyframes.push(keyframe);
+    }
+
+    return keyframes;
+  }
+
+  /**
+   * Writes the styles for a point in the animation to the element and any
+   * counter-scaled children.
+   *
+   * @private
+   * @param {Number} remappedTime - The eased progress of the animation.
+   */
+  applyStylesAt_ (remappedTime) {
+
+    this.applyStyles_(this.getStylesAt_(remappedTime));
+
+    if (this.correctedChildren_.length === 0)
+      return;
+
+    let childStyles = this.getChildStylesAt_(remappedTime);
+    this.correctedChildren_.forEach(child => {
+      this.applyStyles_(childStyles, child);
+    });
+  }
+
+  /**
+   * Writes a set of styles to an element.
+   *
+   * @private
+   * @param {Object} styles - The styles to write, keyed by property name.
+   * @param {HTMLElement} [element] - The element to write to. Defaults to
+   *  the helper's element.
+   */
+  applyStyles_ (styles, element=this.element_) {
+    Object.keys(styles).forEach(property => {
+      element.style[property] = styles[property];
+    });
+  }
+
+  /**
+   * Finds the children that should be counter-scaled.
+   *
+   * @private
+   * @returns {Array} The children.
+   */
+  getCorrectedChildren_ () {
+
+    // Nothing is scaled when clipping.
+    if (this.mode_ === 'clip')
+      return [];
+
+    if (typeof this.correctChildren_ === 'string')
+      return Array.from(this.element_.querySelectorAll(this.correctChildren_));
+
+    return Array.from(this.correctChildren_);
+  }
+
+  /**
+   * Gets the current time from the helper's clock.
+   *
+   * @private
+   * @returns {Number} The time in milliseconds.
+   */
+  now_ () {
+    return this.getClock_().now();
+  }
+
+  /**
+   * Schedules a callback for the next frame with the helper's clock.
+   *
+   * @private
+   * @param {Function} callback - The callback.
+   * @returns {Number} The id of the callback.
+   */
+  requestFrame_ (callback) {
+    return this.getClock_().requestFrame(callback);
+  }
+
+  /**
+   * Cancels a callback scheduled with <code>requestFrame_()</code>.
+   *
+   * @private
+   * @param {Number} id - The id of the callback.
+   */
+  cancelFrame_ (id) {
+    this.getClock_().cancelFrame(id);
+  }
+
+  /**
+   * Schedules a callback for after a delay with the helper's clock, or with
+   * <code>window.setTimeout</code> if the clock doesn't do timeouts.
+   *
+   * @private
+   * @param {Function} callback - The callback.
+   * @param {Number} delay - The delay in milliseconds.
+   * @returns {Number} The id of the callback.
+   */
+  setTimeout_ (callback, delay) {
+
+    let clock = this.getClock_();
+
+    if (typeof clock.setTimeout !== 'function')
+      return window.setTimeout(callback, delay);
+
+    return clock.setTimeout(callback, delay);
+  }
+
+  /**
+   * Cancels a callback scheduled with <code>setTimeout_()</code>.
+   *
+   * @private
+   * @param {Number} id - The id of the callback.
+   */
+  clearTimeout_ (id) {
+
+    let clock = this.getClock_();
+
+    if (typeof clock.clearTimeout !== 'function') {
+      window.clearTimeout(id);
+      return;
+    }
+
+    clock.clearTimeout(id);
+  }
+
+  /**
+   * Gets the helper's own clock, or the global one.
+   *
+   * @private
+   * @returns {Clock} The clock.
+   */
+  getClock_ () {
+    return this.clock_ || getClock();
+  }
+
+  /**
+   * Fires an event on the element.
+   *
+   * @private
+   * @param {String} eventName - The name of the event.
+   * @param {} [detail=null] - The data to include in the event.
+   * @param {Boolean} [bubbles=true] - Whether the event should bubble.
+   * @param {Boolean} [cancelable=true] - Whether the event is cancelable.
+   */
+  fire_ (eventName, detail=null, bubbles=true, cancelable=true) {
+    let evt = new CustomEvent(eventName, { detail, bubbles, cancelable });
+    this.element_.dispatchEvent(evt);
+  }
+
+  /**
+   * Clamps a value to min/max values.
+   *
+   * @param {Number} value - The value to clamp.
+   * @param {Number} min=Number.NEGATIVE_INFINITY - The minimum value. Defaults
+   *     to negative infinity.
+   * @param {Number} max=Number.POSITIVE_INFINITY - The maximum value. Defaults
+   *     to positive infinity.
+   * @private
+   */
+  clamp_ (value, min=Number.NEGATIVE_INFINITY, max=Number.POSITIVE_INFINITY) {
+    return Math.min(max, Math.max(min, value));
+  }
+
+  /**
+   * Function to call to get rid of all the transforms, opacity, internal values
+   * and fire an event for the FLIP completion.
+   *
+   * @param {String} [eventName=flipComplete] - The event to fire.
+   */
+  cleanUpAndFireEvent_ (eventName='flipComplete') {
+    this.playing_ = false;
+    this.paused_ = false;
+    this.removeTransformsAndOpacity_();
+    this.resetFirstLastAndInvertValues_();
+    this.fire_(eventName);
+
+    if (eventName === 'flipComplete')
+      this.onComplete_();
+
+    this.reportStats_(eventName === 'flipComplete' ? 'complete' : 'cancel');
+    this.settlePlay_();
+  }
+
+  /**
+   * Stops an in-flight animation and removes its transform and opacity, so
+   * that the element can be measured in its real layout again. Unlike
+   * <code>cancel()</code> the First snapshot is kept, and a
+   * <code>flipInterrupt</code> event is fired.
+   *
+   * @private
+   */
+  interrupt_ () {
+    this.velocity_ = this.getVelocity_();
+    this.cancel_();
+    this.playing_ = false;
+    this.paused_ = false;
+    this.removeTransformsAndOpacity_();
+    this.fire_('flipInterrupt');
+    this.reportStats_('interrupt');
+    this.settlePlay_();
+  }
+
+  /**
+   * Calculates how fast the element is currently moving.
+   *
+   * @private
+   * @returns {Object} The velocity along each axis, in pixels per second.
+   */
+  getVelocity_ () {
+
+    if (this.paused_ || typeof this.getProgress_ === 'undefined')
+      return { x: 0, y: 0 };
+
+    let progress = this.getProgress_();
+    let delta = 0.001;
+    let before = this.easing_(Math.max(0, progress - delta));
+    let after = this.easing_(Math.min(1, progress + delta));
+    let direction = (this.reversed_ ? -1 : 1);
+
+    // Eased progress per second.
+    let rate = (after - before) / (2 * delta) * direction /
+        this.duration_ * 1000;
+
+    return {
+      x: -this.invert_.x * rate,
+      y: -this.invert_.y * rate
+    };
+  }
+
+  /**
+   * Creates the spring easing for the current inversion, starting with the
+   * velocity of any animation that was interrupted, and uses its settling
+   * time as the duration.
+   *
+   * @private
+   */
+  setSpringEasing_ () {
+
+    let x = this.invert_.x;
+    let y = this.invert_.y;
+    let distance = x * x + y * y;
+    let velocity = 0;
+
+    // Project the velocity onto the direction of travel, and turn it into
+    // progress per second.
+    if (distance > 0)
+      velocity = -(this.velocity_.x * x + this.velocity_.y * y) / distance;
+
+    this.easing_ = createSpring(
+        Object.assign({}, this.spring_, { velocity }));
+    this.easingName_ = null;
+    this.duration_ = this.easing_.duration;
+    this.velocity_ = { x: 0, y: 0 };
+  }
+
+  /**
+   * Gets how long the animation should take from its start time, in
+   * milliseconds.
+   *
+   * @private
+   * @returns {Number} The delay plus the duration.
+   */
+  getPlannedDuration_ () {
+    return this.delay_ + this.duration_;
+  }
+
+  /**
+   * Starts recording stats for the animation that's about to play.
+   *
+   * @private
+   * @param {Number} [startTime] - The start time passed to
+   *  <code>play()</code>.
+   */
+  startStats_ (startTime) {
+    this.stats_ = {
+      start: (typeof startTime === 'undefined' ? this.now_() : startTime),
+      frames: []
+    };
+  }
+
+  /**
+   * Records the time of a frame, if stats are being recorded. Called by
+   * players that render frames themselves.
+   *
+   * @private
+   * @param {Number} time - The time of the frame, from the helper's clock.
+   */
+  recordFrame_ (time) {
+
+    if (this.stats_ === null)
+      return;
+
+    this.stats_.frames.push(time);
+  }
+
+  /**
+   * Finishes recording stats for the animation, keeps them for
+   * <code>FLIP.stats()</code>, and fires them in a <code>flipStats</code>
+   * event.
+   *
+   * @private
+   * @param {String} outcome - How the animation ended:
+   *  <code>'complete'</code>, <code>'cancel'</code> or
+   *  <code>'interrupt'</code>.
+   */
+  reportStats_ (outcome) {
+
+    if (this.stats_ === null)
+      return;
+
+    let frames = this.stats_.frames;
+    let stats = {
+      type: 'flip',
+      element: this.element_,
+      player: this.playerName_,
+      outcome,
+      measure: Object.assign({}, this.measureCost_),
+      planned: this.getPlannedDuration_(),
+      actual: this.now_() - this.stats_.start,
+      frames,
+      droppedFrames: countDroppedFrames(frames)
+    };
+
+    this.stats_ = null;
+    this.lastStats_ = stats;
+    record(stats);
+    this.fire_('flipStats', stats);
+  }
+
+  /**
+   * Gets a snapshot's layout relative to the viewport, whatever it was
+   * measured against.
+   *
+   * @private
+   * @param {Object} snapshot - Either <code>first_</code> or
+   *  <code>last_</code>.
+   * @returns {Object} The layout.
+   */
+  getViewportLayout_ (snapshot) {
+
+    let layout = snapshot.layout;
+    let reference = snapshot.reference;
+
+    if (!reference)
+      return layout;
+
+    return {
+      left: layout.left + reference.left,
+      top: layout.top + reference.top,
+      width: layout.width,
+      height: layout.height
+    };
+  }
+
+  /**
+   * Resolves the Promise returned by <code>play()</code>, if there is one,
+   * and undoes any changes made to reduce motion.
+   *
+   * @private
+   */
+  settlePlay_ () {
+
+    this.restoreMotion_();
+
+    if (this.resolvePlay_ === null)
+      return;
+
+    let resolve = this.resolvePlay_;
+    this.resolvePlay_ = null;
+    resolve();
+  }
+
+  /**
+   * Changes the animation that's about to play to reduce motion. A jump
+   * lasts no time at all, and a fade keeps the element at its Last
+   * position while it fades in, or at its First while an exit fades out.
+   * Players are none the wiser, so events fire
+   * just as they would for the full animation.
+   *
+   * @private
+   */
+  reduceMotion_ () {
+
+    this.motionOverrides_ = {
+      duration_: this.duration_,
+      delay_: this.delay_,
+      easing_: this.easing_,
+      easingName_: this.easingName_,
+      updateOpacity_: this.updateOpacity_
+    };
+
+    if (this.reducedMotion_ !== 'fade') {
+      this.duration_ = 0;
+      this.delay_ = 0;
+      this.applyStylesAt_(1);
+      return;
+    }
+
+    this.invert_.x = 0;
+    this.invert_.y = 0;
+    this.invert_.sx = 1;
+    this.invert_.sy = 1;
+
+    // Exits fade out where they start, and everything else fades in at the
+    // Last snapshot.
+    if (this.exiting_) {
+      Object.assign(this.last_, this.first_, { opacity: 0 });
+      this.invert_.a = -this.first_.opacity;
+    } else {
+      Object.assign(this.first_, this.last_, { opacity: 0 });
+      this.invert_.a = this.last_.opacity;
+    }
+
+    this.duration_ = Math.min(this.duration_, REDUCED_MOTION_FADE_DURATION);
+    this.easing_ = parseEasing('linear');
+    this.easingName_ = 'linear';
+    this.updateOpacity_ = true;
+    this.applyStylesAt_(0);
+  }
+
+  /**
+   * Puts back whatever <code>reduceMotion_()</code> changed.
+   *
+   * @private
+   */
+  restoreMotion_ () {
+
+    if (this.motionOverrides_ === null)
+      return;
+
+    Object.assign(this, this.motionOverrides_);
+    this.motionOverrides_ = null;
+  }
+
+  /**
+   * Removes all transforms and opacity from the element. This should
+   * stop side-effects if the element has fixed position children that
+   * transition.
+   *
+   * @private
+   */
+  removeTransformsAndOpacity_ () {
+    this.element_.style.transformOrigin = null;
+    this.element_.style.transform = this.inlineTransform_ || null;
+    this.inlineTransform_ = null;
+    this.element_.style.opacity = null;
+    this.element_.style.willChange = null;
+
+    if (this.mode_ === 'clip')
+      this.element_.style.clipPath = null;
+
+    if (this.correctBorderRadius_ && this.mode_ === 'scale')
+      this.element_.style.borderRadius = this.inlineBorderRadius_ || null;
+
+    this.inlineBorderRadius_ = null;
+
+    let inlineProperties = this.inlineProperties_ || {};
+
+    this.properties_.forEach(property => {
+      this.element_.style[property] = inlineProperties[property] || null;
+    });
+
+    this.inlineProperties_ = null;
+
+    this.inlineChildStyles_.forEach((styles, child) => {
+      child.style.transformOrigin = styles.transformOrigin || null;
+      child.style.transform = styles.transform || null;
+      child.style.willChange = styles.willChange || null;
+    });
+
+    this.inlineChildStyles_.clear();
+    this.correctedChildren_ = [];
+
+    removeOverlay(this.overlay_);
+    this.overlay_ = [];
+
+    // An exiting element that was held in place goes back to being hidden.
+    if (this.held_ !== null) {
+      this.held_.release();
+      this.held_ = null;
+    }
+  }
+
+  /**
+   * Reset the values held by first_, last_, and invert_.
+   *
+   * @private
+   */
+  resetFirstLastAndInvertValues_ () {
+    this.first_.layout = null;
+    this.first_.opacity = 0;
+    this.first_.transform = decompose('none');
+    this.first_.borderRadius = null;
+    this.first_.properties = {};
+    this.first_.reference = null;
+    this.first_.display = null;
 
     this.last_.layout = null;
     this.last_.opacity = 0;
+    this.last_.transform = decompose('none');
+    this.last_.borderRadius = null;
+    this.last_.properties = {};
+    this.last_.reference = null;
+    this.last_.display = null;
 
     this.invert_.x = 0;
     this.invert_.y = 0;
     this.invert_.sx = 1;
     this.invert_.sy = 1;
     this.invert_.a = 0;
+
+    this.exiting_ = false;
+    this.holdExit_ = false;
+  }
+}
+
+/**
+ * Parses a computed border radius for one corner into pixels.
+ *
+ * @private
+ * @param {String} radius - The computed radius, e.g. <code>'4px'</code> or
+ *  <code>'50% 20%'</code>.
+ * @param {Object} layout - The element's layout, for percentages.
+ * @returns {Object} The horizontal (x) and vertical (y) radius in pixels.
+ */
+function parseRadius (radius, layout) {
+
+  let values = radius.trim().split(/\s+/);
+
+  if (values.length === 1)
+    values.push(values[0]);
+
+  let toPixels = (value, size) => {
+
+    if (/%$/.test(value))
+      return parseFloat(value) / 100 * size;
+
+    return parseFloat(value) || 0;
+  };
+
+  return {
+    x: toPixels(values[0], layout.width),
+    y: toPixels(values[1], layout.height)
+  };
+}
+
+/**
+ * Gets the scale to correct for, which is never less than
+ * <code>MIN_CORRECTED_SCALE</code>, so that dividing by it stays finite.
+ *
+ * @private
+ * @param {Number} scale - The element's scale.
+ * @returns {Number} The scale to correct for.
+ */
+function getCorrectedScale (scale) {
+  return Math.max(scale, MIN_CORRECTED_SCALE);
+}
+
+/**
+ * Copies a snapshot into plain data, leaving out anything that only makes
+ * sense on the page it was taken from.
+ *
+ * @private
+ * @param {Object} snapshot - The snapshot.
+ * @returns {Object} The copy.
+ */
+function describeSnapshot (snapshot) {
+
+  let layout = snapshot.layout;
+  let borderRadius = null;
+
+  if (snapshot.borderRadius) {
+    borderRadius = snapshot.borderRadius
+        .map(radius => Object.assign({}, radius));
   }
+
+  return {
+    layout: {
+      left: layout.left,
+      top: layout.top,
+      width: layout.width,
+      height: layout.height
+    },
+    opacity: snapshot.opacity,
+    transform: Object.assign({}, snapshot.transform),
+    borderRadius,
+    properties: Object.assign({}, snapshot.properties)
+  };
+}
+
+/**
+ * Rounds a number to five decimal places, so that sampled values stay
+ * readable.
+ *
+ * @private
+ * @param {Number} value - The number.
+ * @returns {Number} The rounded number.
+ */
+function round (value) {
+  return Math.round(value * 1e5) / 1e5;
 }
@@ -0,0 +1,299 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { toLinear, toCubicBezier, supportsLinear } from './easing';
+
+/**
+ * How long after a transition should have ended to give up waiting for
+ * <code>transitionend</code>, in milliseconds.
+ *
+ * @private
+ */
+const TRANSITION_END_TIMEOUT = 100;
+
+export default {
+
+  /**
+   * Sets up the animation to use CSS transitions.
+   *
+   * @private
+   * @param {Number} startTime - The start time to use for coordinating multiple
+   *  FLIP animations.
+   */
+  play_: function (startTime) {
+
+    let delay = this.delay_;
+
+    // Turn the shared start time into a delay relative to now.
+    if (typeof startTime !== 'undefined')
+      delay += startTime - this.now_();
+
+    this.direction_ = 1;
+    this.inlineTransition_ = this.element_.style.transition;
+    this.inlineChildTransitions_ = this.correctedChildren_
+        .map(child => child.style.transition);
+    this.element_.addEventListener('transitionend', this.onTransitionEnd_);
+    this.transition_(0, 1, delay);
+  },
+
+  /**
+   * Freezes the element where it is, and remembers how much of the delay
+   * was left.
+   *
+   * @private
+   */
+  pause_: function () {
+    this.progress_ = this.getProgress_();
+    this.delayLeft_ = this.getDelayLeft_();
+    this.freeze_(this.progress_);
+  },
+
+  /**
+   * Transitions from where the element was paused, after whatever was left
+   * of the delay.
+   *
+   * @private
+   */
+  resume_: function () {
+
+    let delay = this.delayLeft_;
+
+    this.delayLeft_ = 0;
+    this.transition_(this.progress_, (this.direction_ > 0 ? 1 : 0), delay);
+  },
+
+  /**
+   * Jumps the animation to the given progress, replacing whatever's left of
+   * the delay with the given wait.
+   *
+   * @private
+   * @param {Number} progress - The progress, between 0 and 1.
+   * @param {Number} [wait=0] - How long to hold there before carrying on,
+   *  in milliseconds.
+   */
+  seek_: function (progress, wait=0) {
+
+    this.progress_ = progress;
+    this.delayLeft_ = wait;
+    this.freeze_(progress);
+
+    if (!this.paused_)
+      this.resume_();
+  },
+
+  /**
+   * Flips the direction of playback, keeping the current progress and any
+   * delay that's left.
+   *
+   * @private
+   */
+  reverse_: function () {
+
+    this.direction_ *= -1;
+
+    if (this.paused_)
+      return;
+
+    this.progress_ = this.getProgress_();
+    this.delayLeft_ = this.getDelayLeft_();
+    this.freeze_(this.progress_);
+    this.resume_();
+  },
+
+  /**
+   * Stops the transition.
+   *
+   * @private
+   */
+  cancel_: function () {
+    this.clearPending_();
+    this.element_.removeEventListener('transitionend', this.onTransitionEnd_);
+    this.element_.style.transition = this.inlineTransition_ || null;
+    this.correctedChildren_.forEach((child, index) => {
+      child.style.transition = this.inlineChildTransitions_[index] || null;
+    });
+  },
+
+  /**
+   * Transitions the element between two points in the animation.
+   *
+   * @private
+   * @param {Number} from - The progress the element is currently at.
+   * @param {Number} to - The progress to transition to.
+   * @param {Number} delay - The delay before starting, in milliseconds.
+   */
+  transition_: function (from, to, delay) {
+
+    let duration = Math.abs(to - from) * this.duration_;
+    let easing = this.easingName_;
+    let properties = [];
+
+    // A named timing function only describes the whole animation, so
+    // anything else gets the relevant slice of the easing curve sampled.
+    // Browsers without linear() would drop the whole declaration, and the
+    // element would jump, so they get the closest cubic-bezier() instead.
+    if (from !== 0 || to !== 1 || easing === null) {
+      let easedFrom = this.easing_(from);
+      let easedRange = this.easing_(to) - easedFrom;
+      let slice = t => {
+        if (easedRange === 0)
+          return t;
+
+        return (this.easing_(from + (to - from) * t) - easedFrom) / easedRange;
+      };
+
+      easing = (supportsLinear() ? toLinear(slice) : toCubicBezier(slice));
+    }
+
+    if (this.updateTransform_)
+      properties.push('transform');
+
+    if (this.updateTransform_ && this.mode_ === 'clip')
+      properties.push('clip-path');
+
+    if (this.updateOpacity_)
+      properties.push('opacity');
+
+    if (this.correctBorderRadius_ && this.mode_ === 'scale')
+      properties.push('border-radius');
+
+    this.properties_.forEach(property => {
+      properties.push(property.replace(/[A-Z]/g, '-$&').toLowerCase());
+    });
+
+    let transition = properties
+        .map(property => `${property} ${duration}ms ${easing} ${delay}ms`)
+        .join(', ');
+
+    // Counter-scaling isn't linear, so the children's transitions only
+    // approximate it.
+    let childTransition = `transform ${duration}ms ${easing} ${delay}ms`;
+
+    this.clearPending_();
+    this.transitionProperties_ = properties;
+    this.transitionState_ = {
+      from, to, duration,
+      start: this.now_() + delay
+    };
+
+    this.element_.style.transition = transition;
+    this.correctedChildren_.forEach(child => {
+      child.style.transition = childTransition;
+    });
+
+    // Flush styles so the transition starts from the current values.
+    window.getComputedStyle(this.element_).transition;
+
+    this.frame_ = this.requestFrame_(() => {
+      this.applyStylesAt_(this.easing_(to));
+    });
+
+    // Nothing transitions when there's nowhere to go, so there's no
+    // transitionend to wait for.
+    let timeout = delay + duration;
+
+    if (duration > 0)
+      timeout += TRANSITION_END_TIMEOUT;
+
+    this.fallback_ = this.setTimeout_(() => this.finish_(), timeout);
+  },
+
+  /**
+   * Stops any transition and holds the element at the given progress.
+   *
+   * @private
+   * @param {Number} progress - The progress, between 0 and 1.
+   */
+  freeze_: function (progress) {
+    this.clearPending_();
+    this.element_.style.transition = 'none';
+    this.correctedChildren_.forEach(child => {
+      child.style.transition = 'none';
+    });
+
+    this.applyStylesAt_(this.easing_(progress));
+    window.getComputedStyle(this.element_).transition;
+  },
+
+  /**
+   * Works out the progress of the current transition from the clock.
+   *
+   * @private
+   * @returns {Number} The progress, between 0 and 1.
+   */
+  getProgress_: function () {
+
+    let state = this.transitionState_;
+    let time = 1;
+
+    if (state.duration > 0)
+      time = (this.now_() - state.start) / state.duration;
+
+    time = this.clamp_(time, 0, 1);
+    return state.from + (state.to - state.from) * time;
+  },
+
+  /**
+   * Works out how much of the current transition's delay is left.
+   *
+   * @private
+   * @returns {Number} The time left, in milliseconds.
+   */
+  getDelayLeft_: function () {
+    return Math.max(0, this.transitionState_.start - this.now_());
+  },
+
+  /**
+   * Finishes the animation when the element's transition ends.
+   *
+   * @private
+   * @param {Event} evt - The <code>transitionend</code> event.
+   */
+  onTransitionEnd_: function (evt) {
+
+    if (evt.target !== this.element_)
+      return;
+
+    // Other transitions on the element have nothing to do with this one.
+    if (this.transitionProperties_.indexOf(evt.propertyName) === -1)
+      return;
+
+    this.finish_();
+  },
+
+  /**
+   * Removes the transition and inverted styles and fires the completion
+   * event.
+   *
+   * @private
+   */
+  finish_: function () {
+    this.cancel_();
+    this.cleanUpAndFireEvent_();
+  },
+
+  /**
+   * Clears any pending frame and the fallback for the end of the transition.
+   *
+   * @private
+   */
+  clearPending_: function () {
+    this.cancelFrame_(this.frame_);
+    this.clearTimeout_(this.fallback_);
+  }
+};
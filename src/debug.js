@@ -0,0 +1,214 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The most animations kept by <code>getStats()</code>. Older ones are
+ * dropped first.
+ *
+ * @private
+ */
+const MAX_RECORDS = 100;
+
+/**
+ * The length of a frame at 60fps, in milliseconds.
+ *
+ * @private
+ */
+const FRAME_DURATION = 1000 / 60;
+
+/**
+ * The colors of the First and Last outlines in the overlay.
+ *
+ * @private
+ */
+const OVERLAY_COLORS = {
+  first: '#e91e63',
+  last: '#2196f3'
+};
+
+/**
+ * Whether debugging is on.
+ *
+ * @private
+ * @type Boolean
+ */
+let enabled = false;
+
+/**
+ * Whether the overlay is drawn.
+ *
+ * @private
+ * @type Boolean
+ */
+let overlay = false;
+
+/**
+ * The number of forced layouts since debugging was switched on.
+ *
+ * @private
+ * @type Number
+ */
+let forcedLayouts = 0;
+
+/**
+ * The stats of the animations that have finished since debugging was
+ * switched on.
+ *
+ * @private
+ * @type Array
+ */
+let records = [];
+
+/**
+ * Switches debugging on or off, and clears the stats.
+ *
+ * @param {Boolean|Object} options - Whether to debug, or an object with
+ *  <code>overlay: true</code> to debug and also outline the First and Last
+ *  snapshots of every helper that's inverted.
+ */
+export function setDebug (options) {
+  enabled = !!options;
+  overlay = enabled && !!options.overlay;
+  forcedLayouts = 0;
+  records = [];
+}
+
+/**
+ * Gets whether debugging is on.
+ *
+ * @returns {Boolean} Whether debugging is on.
+ */
+export function isDebugging () {
+  return enabled;
+}
+
+/**
+ * Counts a forced layout.
+ */
+export function countForcedLayout () {
+  forcedLayouts++;
+}
+
+/**
+ * Keeps the stats of an animation that's finished.
+ *
+ * @param {Object} stats - The stats.
+ */
+export function record (stats) {
+
+  records.push(stats);
+
+  if (records.length > MAX_RECORDS)
+    records.shift();
+}
+
+/**
+ * Gets what's been recorded since debugging was switched on.
+ *
+ * @returns {Object} The number of <code>forcedLayouts</code>, and the
+ *  stats of each finished animation, oldest first, in
+ *  <code>animations</code>.
+ */
+export function getStats () {
+  return {
+    forcedLayouts,
+    animations: records.slice()
+  };
+}
+
+/**
+ * Counts the frames that were missed between the given frame times, taking
+ * 60fps as the target.
+ *
+ * @param {Array} frames - The frame times, in milliseconds.
+ * @returns {Number} The number of dropped frames.
+ */
+export function countDroppedFrames (frames) {
+
+  let dropped = 0;
+
+  for (let f = 1; f < frames.length; f++) {
+    let missed = Math.round((frames[f] - frames[f - 1]) / FRAME_DURATION) - 1;
+    dropped += Math.max(0, missed);
+  }
+
+  return dropped;
+}
+
+/**
+ * Outlines the First and Last layouts of a helper, if the overlay is on.
+ *
+ * @param {Object} first - The First layout, relative to the viewport.
+ * @param {Object} last - The Last layout, relative to the viewport.
+ * @returns {Array} The outlines, to pass to <code>removeOverlay()</code>.
+ */
+export function drawOverlay (first, last) {
+
+  if (!overlay)
+    return [];
+
+  return [
+    drawOutline(first, OVERLAY_COLORS.first, 'First'),
+    drawOutline(last, OVERLAY_COLORS.last, 'Last')
+  ];
+}
+
+/**
+ * Removes outlines drawn by <code>drawOverlay()</code>.
+ *
+ * @param {Array} outlines - The outlines.
+ */
+export function removeOverlay (outlines) {
+  outlines.forEach(outline => {
+    if (outline.parentNode)
+      outline.parentNode.removeChild(outline);
+  });
+}
+
+/**
+ * Draws an outline over the page.
+ *
+ * @private
+ * @param {Object} layout - Where to draw it, relative to the viewport.
+ * @param {String} color - The color of the outline.
+ * @param {String} label - The label shown in its corner.
+ * @returns {HTMLElement} The outline.
+ */
+function drawOutline (layout, color, label) {
+
+  let outline = document.createElement('div');
+
+  outline.setAttribute('data-flip-overlay', label.toLowerCase());
+  outline.textContent = label;
+  Object.assign(outline.style, {
+    position: 'fixed',
+    left: `${layout.left}px`,
+    top: `${layout.top}px`,
+    width: `${layout.width}px`,
+    height: `${layout.height}px`,
+    boxSizing: 'border-box',
+    border: `2px dashed ${color}`,
+    color: color,
+    font: '10px sans-serif',
+    pointerEvents: 'none',
+    zIndex: '2147483647'
+  });
+
+  document.body.appendChild(outline);
+  return outline;
+}
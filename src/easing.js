@@ -0,0 +1,240 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Creates an easing function that matches a CSS
+ * <code>cubic-bezier()</code> timing function.
+ *
+ * @param {Number} x1 - The x value of the first control point.
+ * @param {Number} y1 - The y value of the first control point.
+ * @param {Number} x2 - The x value of the second control point.
+ * @param {Number} y2 - The y value of the second control point.
+ * @returns {Function} The easing function.
+ */
+export function cubicBezier (x1, y1, x2, y2) {
+
+  // Coefficients for the polynomial form of each axis.
+  let cx = 3 * x1;
+  let bx = 3 * (x2 - x1) - cx;
+  let ax = 1 - cx - bx;
+  let cy = 3 * y1;
+  let by = 3 * (y2 - y1) - cy;
+  let ay = 1 - cy - by;
+
+  let sampleX = t => ((ax * t + bx) * t + cx) * t;
+  let sampleY = t => ((ay * t + by) * t + cy) * t;
+  let sampleDerivativeX = t => (3 * ax * t + 2 * bx) * t + cx;
+
+  // Finds the curve's t for a given x, trying Newton's method first and
+  // falling back to bisection if it doesn't converge.
+  let solveX = x => {
+
+    let t = x;
+    let error;
+    let derivative;
+
+    for (let i = 0; i < 8; i++) {
+      error = sampleX(t) - x;
+
+      if (Math.abs(error) < 1e-6)
+        return t;
+
+      derivative = sampleDerivativeX(t);
+
+      if (Math.abs(derivative) < 1e-6)
+        break;
+
+      t -= error / derivative;
+    }
+
+    let lower = 0;
+    let upper = 1;
+    t = x;
+
+    while (lower < upper) {
+      error = sampleX(t) - x;
+
+      if (Math.abs(error) < 1e-6)
+        break;
+
+      if (error > 0)
+        upper = t;
+      else
+        lower = t;
+
+      t = (lower + upper) / 2;
+
+      if (upper - lower < 1e-7)
+        break;
+    }
+
+    return t;
+  };
+
+  return function (t) {
+
+    if (t <= 0)
+      return 0;
+
+    if (t >= 1)
+      return 1;
+
+    return sampleY(solveX(t));
+  };
+}
+
+/**
+ * The CSS timing function keywords, as cubic-bezier control points.
+ *
+ * @private
+ */
+const keywords = {
+  'linear': [0, 0, 1, 1],
+  'ease': [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+/**
+ * Turns a CSS timing function string, like <code>'ease-out'</code> or
+ * <code>'cubic-bezier(0.4, 0, 0.2, 1)'</code>, into an easing function.
+ *
+ * @param {String} timingFunction - The CSS timing function.
+ * @returns {Function} The easing function.
+ */
+export function parseEasing (timingFunction) {
+
+  let value = timingFunction.trim();
+
+  if (value === 'linear')
+    return function (t) { return t; };
+
+  if (typeof keywords[value] !== 'undefined')
+    return cubicBezier(...keywords[value]);
+
+  let match = /^cubic-bezier\(([^)]+)\)$/.exec(value);
+
+  if (match !== null) {
+    let points = match[1].split(',').map(parseFloat);
+
+    if (points.length === 4 && points.every(point => !isNaN(point)))
+      return cubicBezier(...points);
+  }
+
+  throw new Error(`Unsupported easing: ${timingFunction}`);
+}
+
+/**
+ * Samples an easing function into a CSS <code>linear()</code> timing
+ * function, for when a JavaScript easing needs to be handed to the browser.
+ * Browsers that don't support <code>linear()</code> drop any declaration
+ * that uses it, so check with <code>supportsLinear()</code> first.
+ *
+ * @param {Function} easing - The easing function.
+ * @param {Number} [samples=20] - How many segments to sample.
+ * @returns {String} The CSS timing function.
+ */
+export function toLinear (easing, samples=20) {
+  return `linear(${sampleEasing(easing, samples).join(', ')})`;
+}
+
+/**
+ * Checks whether the browser supports the CSS <code>linear()</code> timing
+ * function.
+ *
+ * @returns {Boolean} Whether it does.
+ */
+export function supportsLinear () {
+
+  let css = window.CSS;
+
+  if (typeof css === 'undefined' || typeof css.supports !== 'function')
+    return false;
+
+  return css.supports('transition-timing-function', 'linear(0, 1)');
+}
+
+/**
+ * Approximates an easing function with a CSS <code>cubic-bezier()</code>, for
+ * browsers that don't support <code>linear()</code>. The curve matches the
+ * easing's slope at each end, so it's exact for linear easings and close for
+ * gentle ones, but can't follow springs or anything else that changes
+ * direction.
+ *
+ * @param {Function} easing - The easing function.
+ * @returns {String} The CSS timing function.
+ */
+export function toCubicBezier (easing) {
+
+  let step = 1e-3;
+  let startSlope = (easing(step) - easing(0)) / step;
+  let endSlope = (easing(1) - easing(1 - step)) / step;
+  let round = value => Math.round(value * 1e3) / 1e3;
+
+  let points = [1 / 3, startSlope / 3, 2 / 3, 1 - endSlope / 3];
+
+  return `cubic-bezier(${points.map(round).join(', ')})`;
+}
+
+/**
+ * Samples an easing function at evenly spaced points.
+ *
+ * @param {Function} easing - The easing function.
+ * @param {Number} [samples=20] - How many segments to sample.
+ * @returns {Array} The eased values, from 0 to 1 inclusive.
+ */
+export function sampleEasing (easing, samples=20) {
+
+  let values = [];
+
+  for (let s = 0; s <= samples; s++)
+    values.push(easing(s / samples));
+
+  return values;
+}
+
+/**
+ * Creates an easing function that joins up evenly spaced samples with
+ * straight lines, the reverse of <code>sampleEasing()</code>.
+ *
+ * @param {Array} values - The eased values, from 0 to 1 inclusive.
+ * @returns {Function} The easing function.
+ */
+export function fromSamples (values) {
+
+  if (!Array.isArray(values) || values.length < 2)
+    throw new Error('Easing samples must be an Array of at least two values.');
+
+  let segments = values.length - 1;
+
+  return function (t) {
+
+    if (t <= 0)
+      return values[0];
+
+    if (t >= 1)
+      return values[segments];
+
+    let position = t * segments;
+    let index = Math.floor(position);
+
+    return values[index] +
+        (values[index + 1] - values[index]) * (position - index);
+  };
+}
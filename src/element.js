@@ -0,0 +1,116 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FLIP from './index';
+
+/**
+ * Defines the <code>&lt;flip-group&gt;</code> custom element, which animates
+ * its children whenever a change moves them, whoever makes the change. The
+ * helpers are configured with the element's <code>duration</code>,
+ * <code>delay</code>, <code>easing</code>, <code>mode</code> and
+ * <code>stagger</code> attributes, read when it's added to the page.
+ * Defining it again does nothing.
+ *
+ * @param {String} [name='flip-group'] - The tag name to use.
+ * @returns {Function} The element's class.
+ */
+export function defineFlipGroup (name='flip-group') {
+
+  let registry = window.customElements;
+  let defined = registry.get(name);
+
+  if (typeof defined !== 'undefined')
+    return defined;
+
+  // Custom elements have to be constructed by the browser, which a class
+  // compiled to ES5 can't do, so this is put together by hand.
+  function FlipGroupElement () {
+    return Reflect.construct(HTMLElement, [], this.constructor);
+  }
+
+  FlipGroupElement.prototype = Object.create(HTMLElement.prototype, {
+    constructor: {
+      value: FlipGroupElement,
+      writable: true,
+      configurable: true
+    }
+  });
+
+  Object.setPrototypeOf(FlipGroupElement, HTMLElement);
+
+  Object.assign(FlipGroupElement.prototype, {
+
+    /**
+     * Starts watching the children.
+     *
+     * @private
+     */
+    connectedCallback () {
+      this.observer_ = FLIP.observe(this,
+          Object.assign(getOptions(this), { selector: ':scope > *' }));
+    },
+
+    /**
+     * Stops watching the children.
+     *
+     * @private
+     */
+    disconnectedCallback () {
+      this.observer_.disconnect();
+      this.observer_ = null;
+    },
+
+    /**
+     * Snapshots the children again without animating them, for when the
+     * layout has changed in a way that isn't a DOM change, like the window
+     * resizing.
+     */
+    refresh () {
+
+      if (this.observer_)
+        this.observer_.refresh();
+    }
+  });
+
+  registry.define(name, FlipGroupElement);
+  return FlipGroupElement;
+}
+
+/**
+ * Reads the helper options set on a <code>&lt;flip-group&gt;</code>.
+ *
+ * @private
+ * @param {HTMLElement} element - The element.
+ * @returns {Object} The options.
+ */
+function getOptions (element) {
+
+  let options = {};
+
+  ['duration', 'delay', 'stagger'].forEach(name => {
+    if (element.hasAttribute(name))
+      options[name] = parseFloat(element.getAttribute(name));
+  });
+
+  ['easing', 'mode'].forEach(name => {
+    if (element.hasAttribute(name))
+      options[name] = element.getAttribute(name);
+  });
+
+  return options;
+}
@@ -14,14 +14,9 @@
  * limitations under the License.
  */
 
-import Core from './core';
-import rAF from './raf';
-import GSAP from './gsap';
+import FLIP from './umd';
 
-Core.extend('rAF', rAF);
-Core.extend('GSAP', GSAP);
-
-if (typeof window.Core === 'undefined')
-  window.FLIP = Core;
+if (typeof window.FLIP === 'undefined')
+  window.FLIP = FLIP;
 else
   console.warn('FLIP already exists');
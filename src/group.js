@@ -0,0 +1,528 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { getClock } from './clock';
+import { batch } from './scheduler';
+import { isDebugging, record, countDroppedFrames } from './debug';
+
+/**
+ * Controls a group of FLIP helpers, or other groups, as a whole. It has the
+ * same API as an individual FLIP helper, so groups can be nested inside other
+ * groups. Created by <code>FLIP.group()</code>.
+ */
+export default class FlipGroup {
+
+  /**
+   * Creates a new group.
+   *
+   * @param {Array} flips - The FLIP helpers and groups to control.
+   * @param {Object} [options] - The configuration for the group.
+   * @param {Number|Function|Object} [options.stagger=0] - How to offset the
+   *  start of each member. A Number is a step in milliseconds between each
+   *  member. A Function is called with the index of each member and the
+   *  member itself, and returns its offset in milliseconds. An Object of the
+   *  form <code>{ amount, from }</code> offsets each member by its distance
+   *  from an origin, with the furthest member starting <code>amount</code>
+   *  milliseconds after the nearest. <code>from</code> can be
+   *  <code>'first'</code>, <code>'last'</code>, <code>'center'</code>, the
+   *  index of a member, or a point in the form <code>{ x, y }</code>.
+   * @param {Boolean} [options.sequence=false] - Whether to play each member
+   *  only once the one before it has finished. Stagger is ignored when
+   *  sequencing.
+   */
+  constructor (flips, options={}) {
+
+    let defaults = {
+      stagger: 0,
+      sequence: false
+    };
+
+    let config = Object.assign({}, defaults, options);
+
+    this.flips_ = flips;
+    this.stagger_ = config.stagger;
+    this.sequence_ = config.sequence;
+    this.playId_ = 0;
+    this.started_ = null;
+    this.reversed_ = false;
+    this.lastStats_ = null;
+  }
+
+  /**
+   * Adds a class to all elements in the group.
+   *
+   * @param {string} className - The class name to add.
+   */
+  addClass (className) {
+    this.flips_.forEach(flip => flip.addClass(className));
+  }
+
+  /**
+   * Removes a class from all elements in the group.
+   *
+   * @param {string} className - The class name to remove.
+   */
+  removeClass (className) {
+    this.flips_.forEach(flip => flip.removeClass(className));
+  }
+
+  /**
+   * Calls <code>first()</code> against all members.
+   */
+  first () {
+    batch(() => this.flips_.forEach(flip => flip.first()));
+  }
+
+  /**
+   * Calls <code>last()</code> against all members.
+   *
+   * @param {string|Array} [lastClassName] - The class name to apply to every
+   *  member, or an Array of class names, one per member.
+   */
+  last (lastClassName) {
+
+    // To avoid layout thrashing apply all the classes up front, then
+    // measure every member.
+    batch(() => {
+      this.flips_.forEach((flip, index) => {
+
+        let className = lastClassName;
+
+        if (Array.isArray(lastClassName))
+          className = lastClassName[index];
+
+        flip.last(className);
+      });
+    });
+  }
+
+  /**
+   * Calls <code>invert()</code> against all members.
+   */
+  invert () {
+    batch(() => this.flips_.forEach(flip => flip.invert()));
+  }
+
+  /**
+   * Plays all members, staggered or in sequence if configured to.
+   *
+   * @param {Number} [startTime] - The time the group should start (using
+   *  the members' clock, which defaults to <code>performance.now</code>, as
+   *  the source of truth).
+   * @returns {Promise} A Promise that resolves once all members have finished
+   *  playing.
+   */
+  play (startTime) {
+
+    if (!isDebugging())
+      return this.playMembers_(startTime);
+
+    let start = (typeof startTime === 'undefined' ? this.now_() : startTime);
+    let planned = this.getPlannedDuration_();
+
+    return this.playMembers_(start).then(() => {
+      this.reportStats_(planned, this.now_() - start);
+    });
+  }
+
+  /**
+   * Puts together the group's stats from its members' stats, keeps them for
+   * <code>FLIP.stats()</code>, and fires them in a <code>flipStats</code>
+   * event on the first member's element.
+   *
+   * @private
+   * @param {Number} planned - How long the group should have taken.
+   * @param {Number} actual - How long it did take.
+   */
+  reportStats_ (planned, actual) {
+
+    let members = this.flips_
+        .map(flip => flip.lastStats_)
+        .filter(stats => stats !== null);
+
+    // Members share a frame loop, so their frames are mostly the same ones.
+    let frames = members
+        .reduce((all, member) => all.concat(member.frames), [])
+        .sort((a, b) => a - b)
+        .filter((time, index, all) => index === 0 || time !== all[index - 1]);
+
+    let measure = { first: 0, last: 0 };
+
+    members.forEach(member => {
+      measure.first += member.measure.first;
+      measure.last += member.measure.last;
+    });
+
+    let stats = {
+      type: 'group',
+      members: this.flips_.length,
+      measure,
+      planned,
+      actual,
+      frames,
+      droppedFrames: countDroppedFrames(frames)
+    };
+
+    this.lastStats_ = stats;
+    record(stats);
+    this.fire_('flipStats', stats);
+  }
+
+  /**
+   * Fires an event on the first member's element.
+   *
+   * @private
+   * @param {String} eventName - The name of the event.
+   * @param {*} [detail] - The event's detail.
+   */
+  fire_ (eventName, detail) {
+
+    if (this.flips_.length === 0)
+      return;
+
+    this.flips_[0].fire_(eventName, detail);
+  }
+
+  /**
+   * Plays all members.
+   *
+   * @private
+   * @param {Number} [startTime] - The time the group should start.
+   * @returns {Promise} A Promise that resolves once all members have finished
+   *  playing.
+   */
+  playMembers_ (startTime) {
+
+    let playId = ++this.playId_;
+    let started = new Map();
+
+    this.started_ = started;
+    this.reversed_ = false;
+
+    if (this.sequence_) {
+
+      // Start the first member now, so that it can be controlled straight
+      // away.
+      if (this.flips_.length > 0)
+        started.set(this.flips_[0], this.flips_[0].play(startTime));
+
+      return this.flips_.reduce((previous, flip) => {
+        return previous.then(() => {
+
+          // Stop the chain if the group has been cancelled or replayed.
+          if (playId !== this.playId_)
+            return;
+
+          // A seek may already have started the member.
+          if (started.has(flip))
+            return started.get(flip);
+
+          // Once reversed, the rest of the sequence isn't played.
+          if (this.reversed_) {
+            this.stopMember_(flip);
+            return;
+          }
+
+          started.set(flip, flip.play());
+          return started.get(flip);
+        });
+      }, Promise.resolve());
+    }
+
+    if (typeof startTime === 'undefined')
+      startTime = this.now_();
+
+    let offsets = this.getOffsets_();
+
+    return Promise.all(this.flips_.map((flip, index) => {
+      return flip.play(startTime + offsets[index]);
+    }));
+  }
+
+  /**
+   * Calls <code>pause()</code> against all members.
+   */
+  pause () {
+    this.flips_.forEach(flip => flip.pause());
+  }
+
+  /**
+   * Calls <code>resume()</code> against all members.
+   */
+  resume () {
+    this.flips_.forEach(flip => flip.resume());
+  }
+
+  /**
+   * Jumps the group to a given point, taking the stagger or sequence into
+   * account, so each member jumps to wherever it would be at that point.
+   * Members whose turn hasn't come yet wait for it from there. In a
+   * sequence, members that should have started by then are started early.
+   * Members that have already finished stay finished.
+   *
+   * @param {Number} progress - How far through the group to jump to,
+   *  between 0 (the start of the first member) and 1 (the end of the last).
+   */
+  seek (progress) {
+    this.seekTo_(Math.min(Math.max(progress, 0), 1) *
+        this.getPlannedDuration_());
+  }
+
+  /**
+   * Jumps the group to a time since it started, like a helper's
+   * <code>seekTo_()</code>, so that groups can be nested.
+   *
+   * @private
+   * @param {Number} time - The time in milliseconds, which can be negative
+   *  for a group that shouldn't have started yet.
+   */
+  seekTo_ (time) {
+
+    // A sequence that isn't playing has nothing to start.
+    if (this.sequence_ && this.started_ === null)
+      return;
+
+    let offsets = this.getOffsets_();
+    let paused = this.flips_.some(flip => flip.paused_);
+
+    this.flips_.forEach((flip, index) => {
+
+      let elapsed = time - offsets[index];
+
+      if (this.sequence_ && !this.started_.has(flip)) {
+        if (elapsed <= 0)
+          return;
+
+        this.started_.set(flip, flip.play(this.now_() - elapsed));
+
+        if (paused)
+          flip.pause();
+      }
+
+      flip.seekTo_(elapsed);
+    });
+  }
+
+  /**
+   * Calls <code>reverse()</code> against all members. A reversed sequence
+   * doesn't go on to play the members after the current one, and instead
+   * finishes once the current one is back at its start, unless it's
+   * reversed again before then.
+   */
+  reverse () {
+    this.reversed_ = !this.reversed_;
+    this.flips_.forEach(flip => flip.reverse());
+  }
+
+  /**
+   * Calls <code>cancel()</code> against all members. When sequencing, the
+   * members that haven't started yet are cleaned up without playing.
+   */
+  cancel () {
+
+    this.playId_++;
+    this.started_ = null;
+    this.flips_.forEach(flip => this.stopMember_(flip));
+  }
+
+  /**
+   * Cancels a member, or if it hasn't started, removes its inverted styles
+   * without playing it.
+   *
+   * @private
+   * @param {FLIP|FlipGroup} flip - The member.
+   */
+  stopMember_ (flip) {
+
+    if (flip instanceof FlipGroup || flip.playing_) {
+      flip.cancel();
+      return;
+    }
+
+    flip.removeTransformsAndOpacity_();
+    flip.resetFirstLastAndInvertValues_();
+  }
+
+  /**
+   * Gets how long the group should take to play from its start time, in
+   * milliseconds.
+   *
+   * @private
+   * @returns {Number} The time until the last member should finish.
+   */
+  getPlannedDuration_ () {
+
+    let planned = this.flips_.map(flip => flip.getPlannedDuration_());
+    let offsets = this.getOffsets_();
+
+    return Math.max(0,
+        ...planned.map((duration, index) => offsets[index] + duration));
+  }
+
+  /**
+   * Gets the current time from the first member's clock.
+   *
+   * @private
+   * @returns {Number} The time in milliseconds.
+   */
+  now_ () {
+
+    if (this.flips_.length === 0)
+      return getClock().now();
+
+    return this.flips_[0].now_();
+  }
+
+  /**
+   * Calculates the area covered by the group's members, from their Last
+   * snapshots.
+   *
+   * @private
+   * @returns {Object|null} The bounds, with <code>left</code>,
+   *  <code>top</code>, <code>width</code> and <code>height</code>, or
+   *  <code>null</code> if no member has been snapshotted.
+   */
+  getLayout_ () {
+
+    let layouts = this.flips_
+        .map(getLayout)
+        .filter(layout => layout !== null);
+
+    if (layouts.length === 0)
+      return null;
+
+    let left = Math.min(...layouts.map(layout => layout.left));
+    let top = Math.min(...layouts.map(layout => layout.top));
+    let right = Math.max(...layouts.map(layout => layout.left + layout.width));
+    let bottom = Math.max(...layouts.map(layout => layout.top + layout.height));
+
+    return { left, top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Works out how long after the group's start time each member starts. In
+   * a sequence, that's once every member before it has played.
+   *
+   * @private
+   * @returns {Array} The offsets in milliseconds, one per member.
+   */
+  getOffsets_ () {
+
+    let stagger = this.stagger_;
+
+    if (this.sequence_) {
+      let offset = 0;
+
+      return this.flips_.map(flip => {
+        let start = offset;
+        offset += flip.getPlannedDuration_();
+        return start;
+      });
+    }
+
+    if (typeof stagger === 'number')
+      return this.flips_.map((flip, index) => index * stagger);
+
+    if (typeof stagger === 'function')
+      return this.flips_.map((flip, index) => stagger(index, flip));
+
+    let origin = this.getStaggerOrigin_(stagger.from);
+    let distances = this.flips_.map(flip => {
+
+      let center = getCenter(getLayout(flip));
+
+      if (origin === null || center === null)
+        return 0;
+
+      return Math.sqrt(Math.pow(center.x - origin.x, 2) +
+          Math.pow(center.y - origin.y, 2));
+    });
+
+    let nearest = Math.min(...distances);
+    let range = Math.max(...distances) - nearest;
+
+    return distances.map(distance => {
+
+      if (range === 0)
+        return 0;
+
+      return stagger.amount * (distance - nearest) / range;
+    });
+  }
+
+  /**
+   * Resolves the <code>from</code> of a distance-based stagger to a point.
+   *
+   * @private
+   * @param {String|Number|Object} [from='center'] - The origin.
+   * @returns {Object|null} The point, in the form <code>{ x, y }</code>.
+   */
+  getStaggerOrigin_ (from='center') {
+
+    if (typeof from === 'object')
+      return from;
+
+    if (from === 'center')
+      return getCenter(this.getLayout_());
+
+    let index = from;
+
+    if (from === 'first')
+      index = 0;
+    else if (from === 'last')
+      index = this.flips_.length - 1;
+
+    if (typeof this.flips_[index] === 'undefined')
+      throw new Error(`Unknown stagger origin: ${from}`);
+
+    return getCenter(getLayout(this.flips_[index]));
+  }
+}
+
+/**
+ * Gets the Last layout of a group member.
+ *
+ * @private
+ * @param {FLIP|FlipGroup} flip - The member.
+ * @returns {Object|null} The layout.
+ */
+function getLayout (flip) {
+
+  if (flip instanceof FlipGroup)
+    return flip.getLayout_();
+
+  return flip.last_.layout;
+}
+
+/**
+ * Gets the center point of a layout.
+ *
+ * @private
+ * @param {Object|null} layout - The layout.
+ * @returns {Object|null} The point, in the form <code>{ x, y }</code>.
+ */
+function getCenter (layout) {
+
+  if (layout === null)
+    return null;
+
+  return {
+    x: layout.left + layout.width / 2,
+    y: layout.top + layout.height / 2
+  };
+}
@@ -27,9 +27,9 @@ export default {
    */
   play_: function (startTime) {
 
-    let start = (startTime || window.performance.now()) / 1000;
-    let tweenLiteAvailable = (typeof 'TweenLite' !== 'undefined');
-    let tweenMaxAvailable = (typeof 'TweenMax' !== 'undefined');
+    let start = (startTime || this.now_()) / 1000;
+    let tweenLiteAvailable = (typeof TweenLite !== 'undefined');
+    let tweenMaxAvailable = (typeof TweenMax !== 'undefined');
     let tween = null;
 
     if (tweenMaxAvailable)
@@ -39,9 +39,20 @@ export default {
     else
       throw new Error('GSAP requested, but TweenMax/Lite not available.');
 
+    if (this.mode_ === 'clip')
+      throw new Error('The GSAP player does not support clip mode.');
+
+    // Have GSAP read the inverted transform from the element rather than
+    // using its cached values, which are stale if a FLIP was interrupted.
     let options = {
+      parseTransform: true,
       ease: this.easing_,
-      onComplete: this.cleanUpAndFireEvent_.bind(this)
+      onComplete: this.cleanUpAndFireEvent_.bind(this),
+      onReverseComplete: this.cleanUpAndFireEvent_.bind(this),
+      onUpdate: () => {
+        this.recordFrame_(this.now_());
+        this.onUpdate_(this.tween_.progress());
+      }
     };
 
     if (this.updateTransform_) {
@@ -52,13 +63,93 @@ export default {
         y: 0});
     }
 
+    // Land on the element's own transform, if it has one.
+    if (this.updateTransform_ && this.hasAuthoredTransform_) {
+      let transform = this.last_.transform;
+      let toDegrees = radians => radians * 180 / Math.PI;
+
+      Object.assign(options, {
+        scaleX: transform.scaleX,
+        scaleY: transform.scaleY,
+        x: transform.translateX,
+        y: transform.translateY,
+        rotation: toDegrees(transform.rotate),
+        skewX: toDegrees(transform.skew),
+        skewType: 'simple'
+      });
+    }
+
     if (this.updateOpacity_) {
       Object.assign(options, {
         opacity: this.last_.opacity
       });
     }
 
-    let elTween = new tween(this.element_, this.duration_ / 1000, options);
-    elTween.startTime(start + (this.delay_ / 1000));
+    Object.assign(options, this.last_.properties);
+
+    this.tween_ = new tween(this.element_, this.duration_ / 1000, options);
+    this.tween_.startTime(start + (this.delay_ / 1000));
+  },
+
+  /**
+   * Pauses the tween.
+   *
+   * @private
+   */
+  pause_: function () {
+    this.tween_.pause();
+  },
+
+  /**
+   * Resumes the tween.
+   *
+   * @private
+   */
+  resume_: function () {
+    this.tween_.resume();
+  },
+
+  /**
+   * Jumps the tween to the given progress, and if there's a wait, moves its
+   * start time that far from now.
+   *
+   * @private
+   * @param {Number} progress - The progress, between 0 and 1.
+   * @param {Number} [wait=0] - How long to hold there before carrying on,
+   *  in milliseconds.
+   */
+  seek_: function (progress, wait=0) {
+    this.tween_.progress(progress);
+
+    if (wait > 0)
+      this.tween_.startTime((this.now_() + wait) / 1000);
+  },
+
+  /**
+   * Flips the direction of the tween, leaving its paused state alone.
+   *
+   * @private
+   */
+  reverse_: function () {
+    this.tween_.reversed(!this.tween_.reversed());
+  },
+
+  /**
+   * Gets the progress of the tween.
+   *
+   * @private
+   * @returns {Number} The progress, between 0 and 1.
+   */
+  getProgress_: function () {
+    return this.tween_.progress();
+  },
+
+  /**
+   * Kills the tween.
+   *
+   * @private
+   */
+  cancel_: function () {
+    this.tween_.kill();
   }
 };
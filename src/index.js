@@ -0,0 +1,31 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FLIP from './core';
+import rAF from './raf';
+import GSAP from './gsap';
+import WAAPI from './waapi';
+import CSS from './css';
+
+// The rAF player is the default, so it's always available. The others are
+// exported for registering with FLIP.extend(), so that bundlers can leave
+// out the ones that aren't used.
+FLIP.extend('rAF', rAF);
+
+export default FLIP;
+export { FLIP, rAF, GSAP, WAAPI, CSS };
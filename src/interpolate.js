@@ -0,0 +1,81 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Matches the numbers in a computed style value, including any sign,
+ * decimals and exponent.
+ *
+ * @private
+ */
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+
+/**
+ * Interpolates between two computed style values. Values are broken down into
+ * their numbers and the text around them, so this handles plain numbers,
+ * lengths, colors, and lists of them like shadows and filters, as long as
+ * both values have the same shape. Values that don't match switch over
+ * halfway through.
+ *
+ * @param {String} from - The value at the start.
+ * @param {String} to - The value at the end.
+ * @param {Number} t - How far between them to go, usually between 0 and 1.
+ * @returns {String} The interpolated value.
+ */
+export function interpolate (from, to, t) {
+
+  let start = parseValue(from);
+  let end = parseValue(to);
+
+  if (start.template !== end.template ||
+      start.numbers.length !== end.numbers.length) {
+    return (t < 0.5 ? from : to);
+  }
+
+  let index = 0;
+
+  return start.template.replace(/\{\}/g, () => {
+    let value = start.numbers[index] +
+        (end.numbers[index] - start.numbers[index]) * t;
+
+    index++;
+    return String(value);
+  });
+}
+
+/**
+ * Splits a computed style value into its numbers and a template of the text
+ * around them. Colors are normalized to <code>rgba()</code> so that opaque
+ * and translucent colors can be mixed.
+ *
+ * @private
+ * @param {String} value - The computed style value.
+ * @returns {Object} The <code>template</code> and <code>numbers</code>.
+ */
+function parseValue (value) {
+
+  let numbers = [];
+  let normalized = String(value).replace(
+      /rgb\(([^,)]+),([^,)]+),([^,)]+)\)/g, 'rgba($1,$2,$3, 1)');
+
+  let template = normalized.replace(NUMBER, match => {
+    numbers.push(parseFloat(match));
+    return '{}';
+  });
+
+  return { template, numbers };
+}
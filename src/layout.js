@@ -0,0 +1,118 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FlipGroup from './group';
+
+/**
+ * Animates a container's layout as a whole. Every child is snapshotted and
+ * inverted together, so that when one child changes size the siblings it
+ * pushes around move smoothly rather than jumping, and the container's own
+ * height animates between its First and Last heights. It has the same API as
+ * a group, and can be nested inside other groups. Created by
+ * <code>FLIP.layout()</code>.
+ */
+export default class FlipLayout extends FlipGroup {
+
+  /**
+   * Creates a new layout group.
+   *
+   * @param {Function} FLIP - The FLIP class, used to create the helpers.
+   * @param {HTMLElement} container - The element whose layout animates.
+   * @param {Object} [options] - The configuration for the layout group.
+   *  Anything not listed here is passed on to each child's FLIP helper.
+   * @param {String|Array} [options.children] - A selector for, or an Array
+   *  of, the children to animate. Defaults to all of the container's
+   *  children.
+   * @param {Boolean} [options.height=true] - Whether to animate the
+   *  container's height.
+   * @param {Number|Function|Object} [options.stagger=0] - How to offset each
+   *  child's animation. See {@link FlipGroup}.
+   * @param {Boolean} [options.sequence=false] - Whether to play each child
+   *  only once the one before it has finished. See {@link FlipGroup}.
+   */
+  constructor (FLIP, container, options={}) {
+
+    let defaults = {
+      children: null,
+      height: true,
+      stagger: 0,
+      sequence: false
+    };
+
+    let config = Object.assign({}, defaults, options);
+
+    if (typeof container === 'undefined')
+      throw new Error('Container must be provided.');
+
+    let flipOptions = Object.assign({}, config);
+
+    delete flipOptions.children;
+    delete flipOptions.height;
+    delete flipOptions.stagger;
+    delete flipOptions.sequence;
+
+    let children = getChildren(container, config.children).map(element => {
+      return new FLIP(Object.assign({}, flipOptions, { element }));
+    });
+
+    // The children are a group of their own, so that staggering them
+    // doesn't hold up the container.
+    let flips = [new FlipGroup(children, {
+      stagger: config.stagger,
+      sequence: config.sequence
+    })];
+
+    // The container only changes height, which reflows whatever comes after
+    // it in the page along with it. Any inline height it had before the
+    // invert, like an accordion setting its own, is put back at the end.
+    if (config.height) {
+      flips.push(new FLIP(Object.assign({}, flipOptions, {
+        element: container,
+        transform: false,
+        opacity: false,
+        properties: ['height'],
+        scaleCorrection: {},
+        relativeTo: null
+      })));
+    }
+
+    super(flips);
+  }
+}
+
+/**
+ * Gets the children of a container to animate.
+ *
+ * @private
+ * @param {HTMLElement} container - The container.
+ * @param {String|Array|null} children - A selector for, or an Array of, the
+ *  children, or <code>null</code> for all of them.
+ * @returns {Array} The children.
+ */
+function getChildren (container, children) {
+
+  if (children === null)
+    return Array.from(container.children);
+
+  if (typeof children === 'string') {
+    return Array.from(container.children)
+        .filter(child => child.matches(children));
+  }
+
+  return Array.from(children);
+}
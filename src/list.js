@@ -0,0 +1,268 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FlipGroup from './group';
+import { batch } from './scheduler';
+import { hasChanged } from './snapshot';
+import { parsePresence, toPresenceSnapshot, hold } from './presence';
+
+/**
+ * Animates the children of a container when the container's contents change.
+ * Children are matched up before and after the change by a key, so moved
+ * children FLIP to their new positions, new children animate in, and removed
+ * children are kept in place as ghosts while they animate out. Created by
+ * <code>FLIP.list()</code>.
+ */
+export default class FlipList {
+
+  /**
+   * Creates a new list.
+   *
+   * @param {Function} FLIP - The FLIP class, used to create the helpers.
+   * @param {HTMLElement} container - The element whose children animate.
+   * @param {Object} [options] - The configuration for the list. Anything not
+   *  listed here is passed on to each FLIP helper.
+   * @param {String|Function} [options.key='data-key'] - The attribute that
+   *  identifies each child, or a function that takes a child and returns its
+   *  key. Children without a key are left alone.
+   * @param {String|Object|null} [options.enter] - Where entering children
+   *  animate in from, as the name of a preset or a state, like the
+   *  <code>enter</code> option of a FLIP helper. <code>null</code> leaves
+   *  them to appear as they are.
+   * @param {String|Object|null} [options.exit] - What removed children
+   *  animate out to, like the <code>exit</code> option of a FLIP helper.
+   *  <code>null</code> takes them out straight away.
+   * @param {Number|Function|Object} [options.stagger=0] - How to offset each
+   *  child's animation. See {@link FlipGroup}.
+   */
+  constructor (FLIP, container, options={}) {
+
+    let defaults = {
+      key: 'data-key',
+      enter: { opacity: 0, scale: 0.8 },
+      exit: { opacity: 0 },
+      stagger: 0
+    };
+
+    let config = Object.assign({}, defaults, options);
+
+    if (typeof container === 'undefined')
+      throw new Error('Container must be provided.');
+
+    this.FLIP_ = FLIP;
+    this.container_ = container;
+    this.key_ = config.key;
+    this.enter_ = parsePresence(config.enter);
+    this.exit_ = parsePresence(config.exit);
+    this.stagger_ = config.stagger;
+    this.flips_ = new Map();
+    this.ghosts_ = new Set();
+
+    delete config.key;
+    delete config.enter;
+    delete config.exit;
+    delete config.stagger;
+    this.flipOptions_ = config;
+  }
+
+  /**
+   * Snapshots the keyed children, calls the function that changes the DOM,
+   * and then animates the children from where they were to where they are.
+   *
+   * @param {Function} mutate - The function that changes the container's
+   *  children. If it returns a Promise, the animation waits for it.
+   * @returns {Promise} A Promise that resolves once every child has finished
+   *  animating and every removed child has been taken out of the DOM.
+   */
+  update (mutate) {
+
+    let before = this.getKeyedChildren_();
+
+    batch(() => {
+      before.forEach((element, key) => this.getFlip_(key, element).first());
+    });
+
+    let mutated = mutate();
+
+    if (mutated && typeof mutated.then === 'function')
+      return mutated.then(() => this.animate_(before));
+
+    return this.animate_(before);
+  }
+
+  /**
+   * Works out which children moved, entered, and exited, and animates them.
+   *
+   * @private
+   * @param {Map} before - The keyed children before the change.
+   * @returns {Promise} A Promise that resolves once the animations are done.
+   */
+  animate_ (before) {
+
+    let after = this.getKeyedChildren_();
+    let entering = [];
+    let moving = [];
+    let exiting = [];
+
+    after.forEach((element, key) => {
+
+      if (!before.has(key)) {
+        entering.push(this.getFlip_(key, element));
+        return;
+      }
+
+      moving.push(this.getFlip_(key, element));
+    });
+
+    before.forEach((element, key) => {
+
+      if (after.has(key))
+        return;
+
+      if (this.exit_ !== null)
+        exiting.push(this.flips_.get(key));
+
+      this.flips_.delete(key);
+    });
+
+    if (this.enter_ === null)
+      entering = [];
+
+    // Put the removed children back as ghosts before measuring anything, so
+    // that they don't affect the Last positions of everything else.
+    let ghosts = exiting.map(flip => this.createGhost_(flip));
+
+    ghosts.forEach(ghost => ghost.measure());
+    ghosts.forEach(ghost => ghost.place());
+
+    batch(() => {
+      moving.forEach(flip => flip.last());
+      entering.forEach(flip => flip.last());
+      exiting.forEach(flip => flip.last());
+    });
+
+    entering.forEach(flip => {
+      Object.assign(flip.first_, toPresenceSnapshot(flip.last_, this.enter_));
+    });
+
+    exiting.forEach(flip => {
+      Object.assign(flip.last_, toPresenceSnapshot(flip.last_, this.exit_));
+    });
+
+    // Leave alone anything that didn't change.
+    moving = moving.filter(flip => hasChanged(flip));
+
+    let flips = moving.concat(entering, exiting);
+    let group = new FlipGroup(flips, { stagger: this.stagger_ });
+
+    group.invert();
+
+    return group.play().then(() => {
+      ghosts.forEach(ghost => ghost.release());
+    });
+  }
+
+  /**
+   * Gets the container's children that have keys, leaving out the ghosts of
+   * removed children, which keep their keys while they animate out.
+   *
+   * @private
+   * @returns {Map} The children, keyed by their keys, in DOM order.
+   */
+  getKeyedChildren_ () {
+
+    let children = new Map();
+    let key;
+
+    Array.from(this.container_.children).forEach(element => {
+
+      if (this.ghosts_.has(element))
+        return;
+
+      if (typeof this.key_ === 'function')
+        key = this.key_(element);
+      else
+        key = element.getAttribute(this.key_);
+
+      if (key === null || typeof key === 'undefined')
+        return;
+
+      children.set(String(key), element);
+    });
+
+    return children;
+  }
+
+  /**
+   * Gets the FLIP helper for a key, creating one if the key is new. If the
+   * element for the key has been replaced, the new element takes over the
+   * old helper's First snapshot.
+   *
+   * @private
+   * @param {String} key - The key.
+   * @param {HTMLElement} element - The element that currently has the key.
+   * @returns {FLIP} The helper.
+   */
+  getFlip_ (key, element) {
+
+    let flip = this.flips_.get(key);
+
+    if (typeof flip !== 'undefined' && flip.element_ === element)
+      return flip;
+
+    let replacement = new this.FLIP_(
+        Object.assign({}, this.flipOptions_, { element }));
+
+    if (typeof flip !== 'undefined')
+      Object.assign(replacement.first_, flip.first_);
+
+    this.flips_.set(key, replacement);
+    return replacement;
+  }
+
+  /**
+   * Puts a removed child back in the container, held where it was before it
+   * was removed.
+   *
+   * @private
+   * @param {FLIP} flip - The helper for the removed child.
+   * @returns {Object} The ghost, from <code>hold()</code>, whose
+   *  <code>release()</code> function also takes it out of the DOM again.
+   */
+  createGhost_ (flip) {
+
+    let element = flip.element_;
+
+    this.ghosts_.add(element);
+    this.container_.appendChild(element);
+
+    let ghost = hold(element, flip.first_.layout, flip.first_.display);
+    let release = ghost.release;
+
+    ghost.release = () => {
+      this.ghosts_.delete(element);
+
+      if (element.parentNode !== null)
+        element.parentNode.removeChild(element);
+
+      release();
+    };
+
+    return ghost;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The decomposed identity transform.
+ *
+ * @private
+ */
+const IDENTITY = {
+  translateX: 0,
+  translateY: 0,
+  rotate: 0,
+  skew: 0,
+  scaleX: 1,
+  scaleY: 1
+};
+
+/**
+ * Reads a computed transform, and breaks it down into translate, rotate, skew
+ * and scale. The transform is re-expressed around the element's top left
+ * corner, so that it composes with FLIP's own transforms, which use a
+ * <code>transform-origin</code> of <code>0 0</code>.
+ *
+ * @param {String} transform - The computed transform, e.g.
+ *  <code>'none'</code> or <code>'matrix(1, 0, 0, 1, 0, 0)'</code>.
+ * @param {String} [origin='0px 0px'] - The computed transform origin.
+ * @returns {Object} The decomposed transform.
+ */
+export function decompose (transform, origin='0px 0px') {
+
+  let match = /^matrix(3d)?\(([^)]+)\)$/.exec(String(transform).trim());
+
+  if (match === null)
+    return Object.assign({}, IDENTITY);
+
+  let values = match[2].split(',').map(parseFloat);
+
+  // Only the 2D part of a 3D matrix is used.
+  if (match[1] === '3d')
+    values = [values[0], values[1], values[4], values[5], values[12],
+        values[13]];
+
+  let [a, b, c, d, e, f] = values;
+  let [ox, oy] = origin.split(/\s+/).map(parseFloat);
+
+  // Move the origin to the top left.
+  ox = ox || 0;
+  oy = oy || 0;
+  e += ox - (a * ox + c * oy);
+  f += oy - (b * ox + d * oy);
+
+  // Unmatrix, as per the CSS Transforms spec.
+  let scaleX = Math.sqrt(a * a + b * b);
+
+  if (scaleX !== 0) {
+    a /= scaleX;
+    b /= scaleX;
+  }
+
+  let skew = a * c + b * d;
+  c -= a * skew;
+  d -= b * skew;
+
+  let scaleY = Math.sqrt(c * c + d * d);
+
+  if (scaleY !== 0) {
+    c /= scaleY;
+    d /= scaleY;
+    skew /= scaleY;
+  }
+
+  if (a * d - b * c < 0) {
+    a = -a;
+    b = -b;
+    scaleX = -scaleX;
+    skew = -skew;
+  }
+
+  return {
+    translateX: e,
+    translateY: f,
+    rotate: Math.atan2(b, a),
+    skew: Math.atan(skew),
+    scaleX,
+    scaleY
+  };
+}
+
+/**
+ * Interpolates between two decomposed transforms, rotating the short way
+ * round.
+ *
+ * @param {Object} from - The decomposed transform at the start.
+ * @param {Object} to - The decomposed transform at the end.
+ * @param {Number} t - How far between them to go, usually between 0 and 1.
+ * @returns {Object} The interpolated transform.
+ */
+export function interpolateTransform (from, to, t) {
+
+  let rotate = to.rotate;
+
+  if (rotate - from.rotate > Math.PI)
+    rotate -= 2 * Math.PI;
+  else if (from.rotate - rotate > Math.PI)
+    rotate += 2 * Math.PI;
+
+  let lerp = (start, end) => start + (end - start) * t;
+
+  return {
+    translateX: lerp(from.translateX, to.translateX),
+    translateY: lerp(from.translateY, to.translateY),
+    rotate: lerp(from.rotate, rotate),
+    skew: lerp(from.skew, to.skew),
+    scaleX: lerp(from.scaleX, to.scaleX),
+    scaleY: lerp(from.scaleY, to.scaleY)
+  };
+}
+
+/**
+ * Checks whether a decomposed transform does nothing.
+ *
+ * @param {Object} transform - The decomposed transform.
+ * @returns {Boolean} Whether it is the identity transform.
+ */
+export function isIdentity (transform) {
+  return Object.keys(IDENTITY).every(key => {
+    return Math.abs(transform[key] - IDENTITY[key]) < 1e-6;
+  });
+}
+
+/**
+ * Turns a decomposed transform back into a CSS transform.
+ *
+ * @param {Object} transform - The decomposed transform.
+ * @returns {String} The CSS transform.
+ */
+export function toCSS (transform) {
+  return `translate(${transform.translateX}px, ${transform.translateY}px) ` +
+      `rotate(${transform.rotate}rad) skewX(${transform.skew}rad) ` +
+      `scale(${transform.scaleX}, ${transform.scaleY})`;
+}
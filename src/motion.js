@@ -0,0 +1,64 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The policies that <code>setMotionPolicy()</code> accepts.
+ *
+ * @private
+ * @type Array
+ */
+const POLICIES = ['auto', 'reduce', 'full'];
+
+/**
+ * The policy set with <code>setMotionPolicy()</code>.
+ *
+ * @private
+ * @type String
+ */
+let policy = 'auto';
+
+/**
+ * Sets whether FLIP helpers animate in full or reduce their motion.
+ *
+ * @param {String} value - <code>'auto'</code> to follow the user's
+ *  <code>prefers-reduced-motion</code> setting, <code>'reduce'</code> to
+ *  always reduce motion, or <code>'full'</code> to always animate.
+ */
+export function setMotionPolicy (value) {
+
+  if (POLICIES.indexOf(value) === -1)
+    throw new Error(`Unknown motion policy: ${value}`);
+
+  policy = value;
+}
+
+/**
+ * Gets whether motion should be reduced right now, according to the policy.
+ *
+ * @returns {Boolean} Whether to reduce motion.
+ */
+export function isMotionReduced () {
+
+  if (policy !== 'auto')
+    return (policy === 'reduce');
+
+  if (typeof window === 'undefined' || typeof window.matchMedia !== 'function')
+    return false;
+
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
@@ -0,0 +1,376 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FlipGroup from './group';
+import { batch } from './scheduler';
+import { hasChanged } from './snapshot';
+
+/**
+ * Watches part of the page and FLIPs marked elements whenever a change moves
+ * them, without any code around the change. It keeps a snapshot of every
+ * marked element, so when a class, attribute or child changes anywhere in the
+ * subtree, the snapshots stand in for the First positions. Created by
+ * <code>FLIP.observe()</code>.
+ *
+ * Marked elements can override the helper options with
+ * <code>data-flip-duration</code>, <code>data-flip-delay</code> and
+ * <code>data-flip-easing</code>, or the equivalent for a different
+ * attribute.
+ */
+export default class FlipObserver {
+
+  /**
+   * Creates a new observer, and takes the first snapshots.
+   *
+   * @param {Function} FLIP - The FLIP class, used to create the helpers.
+   * @param {HTMLElement} root - The element whose subtree is watched.
+   * @param {Object} [options] - The configuration for the observer. Anything
+   *  not listed here is passed on to each FLIP helper.
+   * @param {String} [options.attribute='data-flip'] - The attribute that
+   *  marks elements to animate.
+   * @param {String} [options.selector] - A selector for the elements to
+   *  animate, used instead of looking for the attribute, like
+   *  <code>':scope > *'</code> for all of the root's children.
+   * @param {Number|Function|Object} [options.stagger=0] - How to offset each
+   *  element's animation. See {@link FlipGroup}.
+   */
+  constructor (FLIP, root, options={}) {
+
+    let defaults = {
+      attribute: 'data-flip',
+      selector: null,
+      stagger: 0
+    };
+
+    let config = Object.assign({}, defaults, options);
+
+    if (typeof root === 'undefined')
+      throw new Error('Root element must be provided.');
+
+    if (typeof window.MutationObserver === 'undefined')
+      throw new Error('MutationObserver not available.');
+
+    this.FLIP_ = FLIP;
+    this.root_ = root;
+    this.attribute_ = config.attribute;
+    this.selector_ = config.selector || `[${config.attribute}]`;
+    this.stagger_ = config.stagger;
+    this.flips_ = new Map();
+    this.snapshots_ = new Map();
+    this.settled_ = new Set();
+    this.ownNodes_ = new Map();
+
+    delete config.attribute;
+    delete config.selector;
+    delete config.stagger;
+    this.flipOptions_ = config;
+
+    this.onMutation_ = this.onMutation_.bind(this);
+    this.onComplete_ = this.onComplete_.bind(this);
+    this.observer_ = new window.MutationObserver(this.onMutation_);
+    this.observer_.observe(root, {
+      attributes: true,
+      childList: true,
+      subtree: true
+    });
+
+    root.addEventListener('flipComplete', this.onComplete_);
+    this.refresh();
+  }
+
+  /**
+   * Stops watching. Animations that are running carry on to the end.
+   */
+  disconnect () {
+    this.observer_.disconnect();
+    this.root_.removeEventListener('flipComplete', this.onComplete_);
+  }
+
+  /**
+   * Snapshots every marked element again without animating anything, for
+   * when the page has changed in a way that isn't a DOM change, like the
+   * window resizing.
+   */
+  refresh () {
+
+    let flips = this.getElements_()
+        .map(element => this.getFlip_(element))
+        .filter(flip => !flip.playing_);
+
+    this.measure_(flips);
+    flips.forEach(flip => flip.resetFirstLastAndInvertValues_());
+  }
+
+  /**
+   * Animates the marked elements that a change moved.
+   *
+   * @private
+   * @param {Array} records - The mutation records.
+   */
+  onMutation_ (records) {
+
+    let ownNodes = this.getOwnNodes_();
+    let own = records.every(record => this.isOwnRecord_(record, ownNodes));
+
+    this.settled_.clear();
+
+    if (own)
+      return;
+
+    let elements = this.getElements_();
+    let firsts = new Map();
+
+    // Forget elements that have gone.
+    this.flips_.forEach((flip, element) => {
+
+      if (elements.indexOf(element) !== -1)
+        return;
+
+      if (flip.playing_)
+        flip.cancel();
+
+      this.flips_.delete(element);
+      this.snapshots_.delete(element);
+      this.ownNodes_.delete(flip);
+    });
+
+    // Work out where everything appeared to be before the change, and then
+    // stop anything that's still animating from an earlier one.
+    elements.forEach(element => {
+
+      let flip = this.flips_.get(element);
+
+      if (typeof flip === 'undefined')
+        return;
+
+      firsts.set(element, this.getFirst_(flip));
+
+      if (flip.playing_)
+        flip.interrupt_();
+    });
+
+    let flips = elements.map(element => this.getFlip_(element));
+    let changed = [];
+
+    this.measure_(flips);
+
+    flips.forEach(flip => {
+
+      let first = firsts.get(flip.element_);
+
+      // New elements have nothing to animate from yet.
+      if (typeof first === 'undefined') {
+        flip.resetFirstLastAndInvertValues_();
+        return;
+      }
+
+      Object.assign(flip.first_, first);
+
+      if (!hasChanged(flip)) {
+        flip.resetFirstLastAndInvertValues_();
+        return;
+      }
+
+      changed.push(flip);
+    });
+
+    if (changed.length === 0)
+      return;
+
+    let group = new FlipGroup(changed, { stagger: this.stagger_ });
+
+    group.invert();
+    group.play();
+
+    // Keep hold of the other nodes the helpers write to, since they let go
+    // of them once they're done.
+    changed.forEach(flip => {
+      this.ownNodes_.set(flip, flip.correctedChildren_.concat(flip.overlay_));
+    });
+
+    // The inverted styles are the observer's own doing.
+    this.observer_.takeRecords();
+  }
+
+  /**
+   * Notes an element that's finished animating, so that removing its
+   * inverted styles isn't taken for a change.
+   *
+   * @private
+   * @param {Event} evt - The <code>flipComplete</code> event.
+   */
+  onComplete_ (evt) {
+    this.settled_.add(evt.target);
+  }
+
+  /**
+   * Gets the nodes that running or just-finished helpers write to: their
+   * elements, which includes exiting elements they hold in place, along with
+   * any counter-scaled children and debug outlines.
+   *
+   * @private
+   * @returns {Set} The nodes.
+   */
+  getOwnNodes_ () {
+
+    let nodes = new Set();
+
+    this.flips_.forEach((flip, element) => {
+
+      if (!flip.playing_ && !this.settled_.has(element))
+        return;
+
+      nodes.add(element);
+      (this.ownNodes_.get(flip) || []).forEach(node => nodes.add(node));
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Checks whether a mutation came from a helper animating, or tidying up
+   * afterwards.
+   *
+   * @private
+   * @param {MutationRecord} record - The record.
+   * @param {Set} ownNodes - The nodes from <code>getOwnNodes_()</code>.
+   * @returns {Boolean} Whether the observer can ignore it.
+   */
+  isOwnRecord_ (record, ownNodes) {
+
+    // Debug outlines come and go as helpers play.
+    if (record.type === 'childList') {
+      let nodes = Array.from(record.addedNodes)
+          .concat(Array.from(record.removedNodes));
+
+      return (nodes.length > 0 && nodes.every(node => ownNodes.has(node)));
+    }
+
+    return (record.attributeName === 'style' && ownNodes.has(record.target));
+  }
+
+  /**
+   * Takes the Last snapshot of each helper, all together, and keeps a copy
+   * to be the First snapshot for the next change.
+   *
+   * @private
+   * @param {Array} flips - The helpers.
+   */
+  measure_ (flips) {
+
+    batch(() => flips.forEach(flip => flip.last()));
+
+    flips.forEach(flip => {
+      this.snapshots_.set(flip.element_, Object.assign({}, flip.last_));
+    });
+  }
+
+  /**
+   * Gets the snapshot of where a helper's element appeared to be just before
+   * the latest change. For an element that's mid-animation, that's somewhere
+   * between its snapshots, where its transform has put it.
+   *
+   * @private
+   * @param {FLIP} flip - The helper.
+   * @returns {Object} The snapshot.
+   */
+  getFirst_ (flip) {
+
+    let snapshot = this.snapshots_.get(flip.element_);
+
+    if (!flip.playing_)
+      return snapshot;
+
+    let layout = flip.last_.layout;
+    let values = flip.getValuesAt_(flip.easing_(flip.getProgress_()));
+
+    return Object.assign({}, snapshot, {
+      layout: {
+        left: layout.left + values.x,
+        top: layout.top + values.y,
+        width: layout.width * values.sx,
+        height: layout.height * values.sy
+      },
+      opacity: (flip.updateOpacity_ ? values.a : snapshot.opacity)
+    });
+  }
+
+  /**
+   * Gets the elements to animate in the subtree, including the root.
+   *
+   * @private
+   * @returns {Array} The elements, in DOM order.
+   */
+  getElements_ () {
+
+    let elements = Array.from(this.root_.querySelectorAll(this.selector_));
+
+    if (this.root_.matches(this.selector_))
+      elements.unshift(this.root_);
+
+    return elements;
+  }
+
+  /**
+   * Gets the FLIP helper for an element, creating one with the options from
+   * the element's attributes if it's new.
+   *
+   * @private
+   * @param {HTMLElement} element - The element.
+   * @returns {FLIP} The helper.
+   */
+  getFlip_ (element) {
+
+    let flip = this.flips_.get(element);
+
+    if (typeof flip !== 'undefined')
+      return flip;
+
+    flip = new this.FLIP_(Object.assign({}, this.flipOptions_,
+        this.getElementOptions_(element), { element }));
+
+    this.flips_.set(element, flip);
+    return flip;
+  }
+
+  /**
+   * Reads the helper options set on an element.
+   *
+   * @private
+   * @param {HTMLElement} element - The element.
+   * @returns {Object} The options.
+   */
+  getElementOptions_ (element) {
+
+    let options = {};
+    let duration = element.getAttribute(`${this.attribute_}-duration`);
+    let delay = element.getAttribute(`${this.attribute_}-delay`);
+    let easing = element.getAttribute(`${this.attribute_}-easing`);
+
+    if (duration !== null)
+      options.duration = parseFloat(duration);
+
+    if (delay !== null)
+      options.delay = parseFloat(delay);
+
+    if (easing !== null)
+      options.easing = easing;
+
+    return options;
+  }
+}
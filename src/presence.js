@@ -0,0 +1,232 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The states that elements enter from and exit to, by name. Slides go from
+ * or to the named edge, by the element's own size.
+ *
+ * @private
+ */
+const PRESETS = {
+  'fade': { opacity: 0 },
+  'scale': { opacity: 0, scale: 0 },
+  'slide-top': { y: '-100%' },
+  'slide-right': { x: '100%' },
+  'slide-bottom': { y: '100%' },
+  'slide-left': { x: '-100%' }
+};
+
+/**
+ * The positions of the <code>transform-origin</code> keywords, along their
+ * axis.
+ *
+ * @private
+ */
+const ORIGIN_KEYWORDS = {
+  left: '0%',
+  center: '50%',
+  right: '100%',
+  top: '0%',
+  bottom: '100%'
+};
+
+/**
+ * Turns an <code>enter</code> or <code>exit</code> option into a state.
+ *
+ * @param {String|Object|null} presence - The name of a preset, or a state
+ *  of the form <code>{ opacity, scale, origin, x, y }</code>.
+ * @returns {Object|null} The state, with defaults filled in, or
+ *  <code>null</code> if there isn't one.
+ */
+export function parsePresence (presence) {
+
+  if (presence === null || typeof presence === 'undefined')
+    return null;
+
+  if (typeof presence === 'string') {
+    if (!PRESETS.hasOwnProperty(presence))
+      throw new Error(`Unknown enter or exit preset: ${presence}`);
+
+    presence = PRESETS[presence];
+  }
+
+  return Object.assign({
+    opacity: null,
+    scale: 1,
+    origin: 'center',
+    x: 0,
+    y: 0
+  }, presence);
+}
+
+/**
+ * Checks whether a snapshot's layout is missing, or has no size at all, as
+ * happens when the element is hidden or not in the document.
+ *
+ * @param {Object|null} layout - The layout.
+ * @returns {Boolean} Whether there's nothing to animate from or to.
+ */
+export function isEmpty (layout) {
+  return (layout === null || (layout.width === 0 && layout.height === 0));
+}
+
+/**
+ * Makes a snapshot of an element in an enter or exit state, from a snapshot
+ * of it where it really is. The layout stays the same, and the state is
+ * added on top of the element's own transform.
+ *
+ * @param {Object} snapshot - The measured snapshot.
+ * @param {Object} presence - The state, from <code>parsePresence()</code>.
+ * @returns {Object} The new snapshot.
+ */
+export function toPresenceSnapshot (snapshot, presence) {
+
+  let layout = {
+    left: snapshot.layout.left,
+    top: snapshot.layout.top,
+    width: snapshot.layout.width,
+    height: snapshot.layout.height
+  };
+
+  let scale = presence.scale;
+  let origin = parseOrigin(presence.origin, layout);
+  let transform = snapshot.transform;
+
+  // Scale around the origin, then offset. The element's transform has its
+  // origin at the top left, so it goes on first.
+  let x = toPixels(presence.x, layout.width) + origin.x * (1 - scale);
+  let y = toPixels(presence.y, layout.height) + origin.y * (1 - scale);
+
+  return Object.assign({}, snapshot, {
+    layout,
+    transform: {
+      translateX: x + transform.translateX * scale,
+      translateY: y + transform.translateY * scale,
+      rotate: transform.rotate,
+      skew: transform.skew,
+      scaleX: transform.scaleX * scale,
+      scaleY: transform.scaleY * scale
+    },
+    opacity: (presence.opacity === null ? snapshot.opacity : presence.opacity)
+  });
+}
+
+/**
+ * Puts an element that's gone back where it was, absolutely positioned so
+ * that it doesn't push anything else around. The element starts out at the
+ * top left of its positioning context. Whatever that context is, it's then
+ * nudged by the difference between where it is and where it should be, in
+ * two steps: <code>measure()</code>, which reads from the DOM, and
+ * <code>place()</code>, which writes to it, so that holding several elements
+ * only forces one layout.
+ *
+ * @param {HTMLElement} element - The element.
+ * @param {Object} layout - Where it was in the viewport.
+ * @param {String} display - The <code>display</code> it had there.
+ * @returns {Object} The held element, with <code>measure()</code> and
+ *  <code>place()</code> functions, and a <code>release()</code> function that
+ *  restores its inline styles.
+ */
+export function hold (element, layout, display) {
+
+  let cssText = element.style.cssText;
+  let offset = null;
+
+  Object.assign(element.style, {
+    display,
+    position: 'absolute',
+    boxSizing: 'border-box',
+    margin: '0',
+    left: '0',
+    top: '0',
+    width: `${layout.width}px`,
+    height: `${layout.height}px`,
+    pointerEvents: 'none'
+  });
+
+  return {
+    measure: () => {
+
+      // Once placed, the element may well be transformed, so only the
+      // first measurement counts.
+      if (offset !== null)
+        return;
+
+      let placed = element.getBoundingClientRect();
+      offset = {
+        left: layout.left - placed.left,
+        top: layout.top - placed.top
+      };
+    },
+
+    place: () => {
+      element.style.left = `${offset.left}px`;
+      element.style.top = `${offset.top}px`;
+    },
+
+    release: () => {
+      element.style.cssText = cssText;
+    }
+  };
+}
+
+/**
+ * Works out where a <code>transform-origin</code> is in an element.
+ *
+ * @private
+ * @param {String} origin - The origin, e.g. <code>'center'</code>,
+ *  <code>'top left'</code> or <code>'20px 50%'</code>.
+ * @param {Object} layout - The element's layout.
+ * @returns {Object} The point, in pixels from the element's top left.
+ */
+function parseOrigin (origin, layout) {
+
+  let values = origin.trim().split(/\s+/);
+
+  if (values.length === 1)
+    values.push('center');
+
+  // Keywords can come in either order, like 'top left'.
+  if (values[0] === 'top' || values[0] === 'bottom' ||
+      values[1] === 'left' || values[1] === 'right')
+    values.reverse();
+
+  values = values.map(value => ORIGIN_KEYWORDS[value] || value);
+
+  return {
+    x: toPixels(values[0], layout.width),
+    y: toPixels(values[1], layout.height)
+  };
+}
+
+/**
+ * Turns a length into pixels.
+ *
+ * @private
+ * @param {Number|String} value - A Number of pixels, or a String in pixels
+ *  or as a percentage.
+ * @param {Number} size - What percentages are of.
+ * @returns {Number} The length in pixels.
+ */
+function toPixels (value, size) {
+
+  if (/%$/.test(value))
+    return parseFloat(value) / 100 * size;
+
+  return parseFloat(value) || 0;
+}
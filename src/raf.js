@@ -16,6 +16,8 @@
 
 'use strict';
 
+import { getTicker } from './ticker';
+
 export default {
 
   /**
@@ -28,46 +30,239 @@ export default {
   play_: function (startTime) {
 
     if (typeof startTime === 'undefined')
-      this.start_ = window.performance.now() + this.delay_;
+      this.start_ = this.now_() + this.delay_;
     else
       this.start_ = startTime + this.delay_;
 
-    requestAnimationFrame(this.update_);
+    this.delayEnd_ = this.start_;
+    this.delayLeft_ = 0;
+    this.direction_ = 1;
+    this.ticker_ = getTicker(this.getClock_());
+    this.ticker_.add(this);
+  },
+
+  /**
+   * Stops the frame loop and remembers where the animation got to, and how
+   * much of the delay was left.
+   *
+   * @private
+   */
+  pause_: function () {
+
+    let now = this.now_();
+
+    this.ticker_.remove(this);
+    this.progress_ = this.getProgress_(now);
+    this.delayLeft_ = Math.max(0, this.delayEnd_ - now);
+  },
+
+  /**
+   * Restarts the frame loop from the progress and delay recorded by
+   * <code>pause_()</code>.
+   *
+   * @private
+   */
+  resume_: function () {
+    this.delayEnd_ = this.now_() + this.delayLeft_;
+    this.setProgress_(this.progress_, this.delayEnd_);
+    this.ticker_.add(this);
+  },
+
+  /**
+   * Jumps the animation to the given progress, replacing whatever's left of
+   * the delay with the given wait.
+   *
+   * @private
+   * @param {Number} progress - The progress, between 0 and 1.
+   * @param {Number} [wait=0] - How long to hold there before carrying on,
+   *  in milliseconds.
+   */
+  seek_: function (progress, wait=0) {
+
+    let now = this.now_();
+
+    this.progress_ = progress;
+    this.delayEnd_ = now + wait;
+    this.delayLeft_ = wait;
+    this.render_(progress);
+
+    if (!this.paused_)
+      this.setProgress_(progress, this.delayEnd_);
+  },
+
+  /**
+   * Flips the direction of playback, keeping the current progress. During
+   * the delay the element hasn't moved yet, so the delay carries on, and
+   * the animation then heads from the First position in the new direction.
+   *
+   * @private
+   */
+  reverse_: function () {
+
+    if (this.paused_) {
+      this.direction_ *= -1;
+      return;
+    }
+
+    let now = Math.max(this.now_(), this.delayEnd_);
+    let progress = this.getProgress_(now);
+
+    this.direction_ *= -1;
+    this.setProgress_(progress, now);
+  },
+
+  /**
+   * Stops the frame loop, and lets go of the ticker.
+   *
+   * @private
+   */
+  cancel_: function () {
+    this.release_();
+  },
+
+  /**
+   * Calculates the linear progress of the animation at a given time, taking
+   * the direction of playback into account.
+   *
+   * @private
+   * @param {Number} [now] - The time, from the helper's clock. Defaults to
+   *  now.
+   * @returns {Number} The progress, between 0 and 1.
+   */
+  getProgress_: function (now=this.now_()) {
+
+    // Nothing moves during the delay, whichever way the animation is headed.
+    if (now < this.delayEnd_)
+      return 0;
+
+    let time = (now < this.start_ ? 0 : 1);
+
+    // An animation with no duration jumps to the end once it starts.
+    if (this.duration_ > 0)
+      time = this.clamp_((now - this.start_) / this.duration_, 0, 1);
+
+    return (this.direction_ > 0 ? time : 1 - time);
   },
 
   /**
-   * Updates the element's animation.
+   * Moves the start time such that the animation is at the given progress
+   * at the given time.
    *
    * @private
+   * @param {Number} progress - The progress, between 0 and 1.
+   * @param {Number} now - The time, from the helper's clock.
    */
-  update_: function () {
+  setProgress_: function (progress, now) {
+
+    if (this.direction_ < 0)
+      progress = 1 - progress;
+
+    this.start_ = now - progress * this.duration_;
+  },
+
+  /**
+   * Works out the styles for the given time, without touching the DOM. The
+   * ticker calls this for every animation before writing any of them.
+   *
+   * @private
+   * @param {Number} now - The time, from the helper's clock.
+   * @returns {Object} The frame to pass to <code>write_()</code>.
+   */
+  read_: function (now) {
+
+    let frame = this.getFrame_(this.getProgress_(now));
+    frame.now = now;
+
+    return frame;
+  },
+
+  /**
+   * Writes a frame from <code>read_()</code>, and finishes the animation if
+   * it's reached the end.
+   *
+   * @private
+   * @param {Object} frame - The frame.
+   */
+  write_: function (frame) {
+
+    this.recordFrame_(frame.now);
+    this.writeFrame_(frame);
+
+    let time = frame.time;
+    let running = (frame.now < this.delayEnd_ ||
+        (this.direction_ > 0 ? time < 1 : time > 0));
+
+    if (running)
+      return;
+
+    this.release_();
+    this.cleanUpAndFireEvent_();
+  },
+
+  /**
+   * Takes the helper off the ticker, so that an idle helper isn't kept
+   * around by it.
+   *
+   * @private
+   */
+  release_: function () {
+
+    if (!this.ticker_)
+      return;
+
+    this.ticker_.remove(this);
+    this.ticker_ = null;
+  },
+
+  /**
+   * Works out the element's styles, and its children's, at the given
+   * progress.
+   *
+   * @private
+   * @param {Number} time - The linear progress, between 0 and 1.
+   * @returns {Object} The frame.
+   */
+  getFrame_: function (time) {
 
-    let time = (window.performance.now() - this.start_) / this.duration_;
-    time = this.clamp_(time, 0, 1);
     let remappedTime = this.easing_(time);
+    let childStyles = null;
 
-    let update = {
-      x: this.invert_.x * (1 - remappedTime),
-      y: this.invert_.y * (1 - remappedTime),
-      sx: this.invert_.sx + (1 - this.invert_.sx) * remappedTime,
-      sy: this.invert_.sy + (1 - this.invert_.sy) * remappedTime,
-      a: this.first_.opacity + (this.invert_.a) * remappedTime
+    if (this.correctedChildren_.length > 0)
+      childStyles = this.getChildStylesAt_(remappedTime);
+
+    return {
+      time,
+      styles: this.getStylesAt_(remappedTime),
+      childStyles
     };
+  },
 
-    if (this.updateTransform_) {
-      this.element_.style.transform =
-        `translate(${update.x}px, ${update.y}px)
-         scale(${update.sx}, ${update.sy})`;
-    }
+  /**
+   * Writes a frame's styles.
+   *
+   * @private
+   * @param {Object} frame - The frame.
+   */
+  writeFrame_: function (frame) {
 
-    if (this.updateOpacity_) {
-      this.element_.style.opacity = update.a;
-    }
+    this.applyStyles_(frame.styles);
 
-    if (time < 1) {
-      requestAnimationFrame(this.update_);
-    } else {
-      this.cleanUpAndFireEvent_();
+    if (frame.childStyles) {
+      this.correctedChildren_.forEach(child => {
+        this.applyStyles_(frame.childStyles, child);
+      });
     }
+
+    this.onUpdate_(frame.time);
+  },
+
+  /**
+   * Writes the element's styles for the given progress.
+   *
+   * @private
+   * @param {Number} time - The linear progress, between 0 and 1.
+   */
+  render_: function (time) {
+    this.writeFrame_(this.getFrame_(time));
   }
 };
@@ -0,0 +1,119 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { Component, Children, cloneElement } from 'react';
+import FLIP from './index';
+import FlipBinding from './binding';
+
+/**
+ * A React component that animates the children of the element it wraps
+ * whenever it renders with a new <code>flipKey</code>. The First snapshots
+ * are taken in <code>getSnapshotBeforeUpdate()</code>, once React has
+ * committed to the update but before it changes the DOM, so renders that
+ * are thrown away, or repeated in strict mode, never measure or interrupt
+ * anything.
+ *
+ * Its props, apart from <code>children</code> and <code>flipKey</code>, are
+ * the configuration for the animations, read when it mounts. See
+ * {@link FlipBinding}.
+ */
+export class Flip extends Component {
+
+  /**
+   * Creates the binding for the component.
+   *
+   * @param {Object} props - The component's props.
+   * @param {*} props.flipKey - A value that, when it changes, means the
+   *  children might have moved.
+   * @param {Object} props.children - The single element whose children
+   *  animate.
+   */
+  constructor (props) {
+    super(props);
+
+    let options = Object.assign({}, props);
+
+    delete options.children;
+    delete options.flipKey;
+
+    this.binding_ = new FlipBinding(FLIP, options);
+    this.container_ = null;
+    this.setContainer_ = this.setContainer_.bind(this);
+  }
+
+  /**
+   * Takes the First snapshots if the key has changed.
+   *
+   * @private
+   * @param {Object} previous - The props from the last render.
+   * @returns {Boolean} Whether the snapshots were taken.
+   */
+  getSnapshotBeforeUpdate (previous) {
+
+    if (this.container_ === null ||
+        Object.is(previous.flipKey, this.props.flipKey))
+      return false;
+
+    this.binding_.beforeUpdate(this.container_);
+    return true;
+  }
+
+  /**
+   * Plays the animations, if the snapshots were taken.
+   *
+   * @private
+   * @param {Object} previous - The props from the last render.
+   * @param {Object} state - The state from the last render.
+   * @param {Boolean} snapshotted - Whether the snapshots were taken.
+   */
+  componentDidUpdate (previous, state, snapshotted) {
+
+    if (snapshotted && this.container_ !== null)
+      this.binding_.afterUpdate(this.container_);
+  }
+
+  /**
+   * Keeps hold of the wrapped element, passing it on to the element's own
+   * ref, if it has one.
+   *
+   * @private
+   * @param {HTMLElement|null} element - The element.
+   */
+  setContainer_ (element) {
+
+    let ref = Children.only(this.props.children).ref;
+
+    this.container_ = element;
+
+    if (typeof ref === 'function')
+      ref(element);
+    else if (ref)
+      ref.current = element;
+  }
+
+  /**
+   * Renders the wrapped element.
+   *
+   * @private
+   * @returns {Object} The element.
+   */
+  render () {
+    return cloneElement(Children.only(this.props.children),
+        { ref: this.setContainer_ });
+  }
+}
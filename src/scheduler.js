@@ -0,0 +1,177 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { isDebugging, countForcedLayout } from './debug';
+
+/**
+ * The steps waiting to run in the current batch, for each helper, in the
+ * order the helper asked for them.
+ *
+ * @private
+ * @type Map
+ */
+const pending = new Map();
+
+/**
+ * How many calls to <code>batch()</code> are running.
+ *
+ * @private
+ * @type Number
+ */
+let depth = 0;
+
+/**
+ * Whether anything has been written since the last read, such that the next
+ * read forces the browser to lay out the page.
+ *
+ * @private
+ * @type Boolean
+ */
+let dirty = false;
+
+/**
+ * Schedules a helper's reads and writes. Outside of a batch the steps run
+ * straight away. Inside one they wait until the batch ends, and then run
+ * alongside every other helper's, with all the reads that can go together
+ * in one phase and all the writes in the next. A helper's own steps always
+ * run in the order given.
+ *
+ * @param {Object} owner - The helper the steps belong to.
+ * @param {Array} steps - The steps, each with a <code>type</code> of
+ *  <code>'read'</code> or <code>'write'</code> and a <code>run</code>
+ *  function.
+ */
+export function schedule (owner, steps) {
+
+  if (depth === 0) {
+    steps.forEach(step => runStep(owner, step));
+    return;
+  }
+
+  if (!pending.has(owner))
+    pending.set(owner, []);
+
+  pending.get(owner).push(...steps);
+}
+
+/**
+ * Creates a read step.
+ *
+ * @param {Function} run - The function that reads from the DOM.
+ * @returns {Object} The step.
+ */
+export function read (run) {
+  return { type: 'read', run };
+}
+
+/**
+ * Creates a write step.
+ *
+ * @param {Function} run - The function that writes to the DOM. It can
+ *  return <code>false</code> if it turned out to have nothing to write, so
+ *  that the next read isn't counted as forcing a layout.
+ * @returns {Object} The step.
+ */
+export function write (run) {
+  return { type: 'write', run };
+}
+
+/**
+ * Calls the function, holding back every read and write scheduled during it
+ * until it returns. Batches can be nested, in which case the steps run once
+ * the outermost batch ends.
+ *
+ * @param {Function} fn - The function.
+ */
+export function batch (fn) {
+
+  depth++;
+
+  try {
+    fn();
+  } finally {
+    depth--;
+
+    if (depth === 0)
+      flush();
+  }
+}
+
+/**
+ * Runs the steps held back by a batch, alternating between a phase of reads
+ * and a phase of writes until every helper's steps have run.
+ *
+ * @private
+ */
+function flush () {
+
+  let type = 'read';
+
+  try {
+    while (pending.size > 0) {
+
+      pending.forEach((steps, owner) => {
+
+        while (steps.length > 0 && steps[0].type === type)
+          runStep(owner, steps.shift(), true);
+
+        if (steps.length === 0)
+          pending.delete(owner);
+      });
+
+      type = (type === 'read' ? 'write' : 'read');
+    }
+  } finally {
+
+    // Don't leave a failed batch's steps for the next one.
+    pending.clear();
+  }
+}
+
+/**
+ * Runs a step, keeping track of reads that force a layout.
+ *
+ * @private
+ * @param {Object} owner - The helper the step belongs to.
+ * @param {Object} step - The step.
+ * @param {Boolean} [batched=false] - Whether the step is part of a batch.
+ */
+function runStep (owner, step, batched=false) {
+
+  if (step.type === 'write') {
+    if (step.run() !== false)
+      dirty = true;
+
+    return;
+  }
+
+  if (dirty && isDebugging()) {
+    countForcedLayout();
+
+    // A batch forces at most one layout per phase of reads, which can't be
+    // helped, so only the ones outside batches are worth pointing out.
+    if (!batched) {
+      console.warn('FLIP: Measuring forced a synchronous layout. ' +
+          'Wrap the calls in FLIP.batch() to measure helpers together.',
+          owner.element_);
+    }
+  }
+
+  dirty = false;
+  step.run();
+}
@@ -0,0 +1,256 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import { schedule, write } from './scheduler';
+
+/**
+ * Animates between two different elements, like a thumbnail in a list and
+ * the image in a detail view. The source's First snapshot is used as the
+ * inverse of the target's Last snapshot, so the target appears to grow out
+ * of the source. Created by <code>FLIP.shared()</code>.
+ */
+export default class FlipShared {
+
+  /**
+   * Creates a new shared element transition.
+   *
+   * @param {Function} FLIP - The FLIP class, used to create the helpers.
+   * @param {HTMLElement} source - The element to animate from.
+   * @param {Object} [options] - The configuration for the transition.
+   *  Anything not listed here is passed on to the FLIP helpers.
+   * @param {HTMLElement} [options.target] - The element to animate to. Can
+   *  also be passed to <code>last()</code>.
+   * @param {Boolean} [options.crossfade=false] - Whether to fade a copy of
+   *  the source out while the target fades in. Otherwise the target animates
+   *  with its own opacity, and the source is hidden.
+   * @param {Boolean} [options.removeSource=false] - Whether to remove the
+   *  source from the DOM once the transition finishes. Otherwise it is shown
+   *  again.
+   */
+  constructor (FLIP, source, options={}) {
+
+    let defaults = {
+      target: null,
+      crossfade: false,
+      removeSource: false
+    };
+
+    let config = Object.assign({}, defaults, options);
+
+    if (typeof source === 'undefined')
+      throw new Error('Source element must be provided.');
+
+    this.FLIP_ = FLIP;
+    this.source_ = source;
+    this.target_ = config.target;
+    this.crossfade_ = config.crossfade;
+    this.removeSource_ = config.removeSource;
+    this.sourceVisibility_ = null;
+    this.ghost_ = null;
+    this.flips_ = [];
+
+    delete config.target;
+    delete config.crossfade;
+    delete config.removeSource;
+    this.flipOptions_ = config;
+
+    this.sourceFlip_ = this.createFlip_(source);
+  }
+
+  /**
+   * Snapshots the source. If crossfading, a copy of the source is taken now,
+   * before whatever change is about to happen to it.
+   */
+  first () {
+    this.sourceFlip_.first();
+
+    if (this.crossfade_)
+      this.ghost_ = this.source_.cloneNode(true);
+  }
+
+  /**
+   * Snapshots the target, and sets it up to start from the source's
+   * snapshot. Inside <code>FLIP.batch()</code> this waits, along with the
+   * target's snapshot, until the batch ends.
+   *
+   * @param {HTMLElement} [target] - The element to animate to, if it wasn't
+   *  passed in the options.
+   */
+  last (target) {
+
+    if (typeof target !== 'undefined')
+      this.target_ = target;
+
+    if (this.target_ === null)
+      throw new Error('Target element must be provided.');
+
+    let targetFlip = this.createFlip_(this.target_);
+    targetFlip.last();
+
+    this.flips_ = [targetFlip];
+
+    // Queued behind the target's own snapshot, so that in a batch it runs
+    // once both snapshots have been taken.
+    schedule(targetFlip, [write(() => this.startFromSource_(targetFlip))]);
+  }
+
+  /**
+   * Moves the target, and any ghost, to the source's position.
+   */
+  invert () {
+
+    if (this.flips_.length === 0)
+      return;
+
+    // The ghost isn't set up until the snapshots are in, which in a batch
+    // is after this is called.
+    schedule(this.flips_[0], [
+      write(() => this.flips_.forEach(flip => flip.invert()))
+    ]);
+  }
+
+  /**
+   * Plays the transition, then tidies away the ghost and the source.
+   *
+   * @param {Number} [startTime] - The time the transition should start (using
+   *  the helpers' clock, which defaults to <code>performance.now</code>, as
+   *  the source of truth).
+   * @returns {Promise} A Promise that resolves once the transition is done
+   *  and has been tidied away.
+   */
+  play (startTime) {
+
+    if (typeof startTime === 'undefined')
+      startTime = this.sourceFlip_.now_();
+
+    let played = this.flips_.map(flip => flip.play(startTime));
+
+    return Promise.all(played).then(() => this.cleanUp_());
+  }
+
+  /**
+   * Cancels the transition and tidies away the ghost and the source.
+   */
+  cancel () {
+    this.flips_.forEach(flip => flip.cancel());
+
+    // Without play() there's nothing waiting to tidy up once the helpers
+    // are done.
+    this.cleanUp_();
+  }
+
+  /**
+   * Gives the target the source's First snapshot, adds the ghost if
+   * crossfading, and hides the source.
+   *
+   * @private
+   * @param {FLIP} targetFlip - The helper for the target.
+   */
+  startFromSource_ (targetFlip) {
+
+    if (this.sourceFlip_.first_.layout === null)
+      throw new Error('You must call first() before last()');
+
+    Object.assign(targetFlip.first_, this.sourceFlip_.first_);
+
+    if (this.crossfade_) {
+      targetFlip.first_.opacity = 0;
+      this.flips_.push(this.createGhostFlip_(targetFlip));
+    }
+
+    // The target, and any ghost, stand in for the source from here on.
+    if (this.source_ !== this.target_) {
+      this.sourceVisibility_ = this.source_.style.visibility;
+      this.source_.style.visibility = 'hidden';
+    }
+  }
+
+  /**
+   * Removes the ghost, and removes or shows the source.
+   *
+   * @private
+   */
+  cleanUp_ () {
+
+    if (this.ghost_ !== null && this.ghost_.parentNode !== null)
+      this.ghost_.parentNode.removeChild(this.ghost_);
+
+    this.ghost_ = null;
+
+    if (this.sourceVisibility_ === null)
+      return;
+
+    this.source_.style.visibility = this.sourceVisibility_;
+    this.sourceVisibility_ = null;
+
+    if (this.removeSource_ && this.source_.parentNode !== null)
+      this.source_.parentNode.removeChild(this.source_);
+  }
+
+  /**
+   * Puts the copy of the source on the page where the source was, and sets
+   * up a helper that moves it to the target while fading it out.
+   *
+   * @private
+   * @param {FLIP} targetFlip - The helper for the target.
+   * @returns {FLIP} The helper for the ghost.
+   */
+  createGhostFlip_ (targetFlip) {
+
+    let ghost = this.ghost_;
+    let from = this.sourceFlip_.first_.layout;
+    let to = targetFlip.last_.layout;
+    let ghostFlip = this.createFlip_(ghost);
+
+    Object.assign(ghost.style, {
+      position: 'fixed',
+      boxSizing: 'border-box',
+      margin: '0',
+      left: `${from.left}px`,
+      top: `${from.top}px`,
+      width: `${from.width}px`,
+      height: `${from.height}px`,
+      pointerEvents: 'none'
+    });
+
+    document.body.appendChild(ghost);
+    ghostFlip.first();
+
+    Object.assign(ghost.style, {
+      left: `${to.left}px`,
+      top: `${to.top}px`,
+      width: `${to.width}px`,
+      height: `${to.height}px`,
+      opacity: '0'
+    });
+
+    ghostFlip.last();
+    return ghostFlip;
+  }
+
+  /**
+   * Creates a FLIP helper with the transition's options.
+   *
+   * @private
+   * @param {HTMLElement} element - The element for the helper.
+   * @returns {FLIP} The helper.
+   */
+  createFlip_ (element) {
+    return new this.FLIP_(Object.assign({}, this.flipOptions_, { element }));
+  }
+}
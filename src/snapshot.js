@@ -0,0 +1,36 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Checks whether a helper's element moved, resized, or changed opacity
+ * between its First and Last snapshots.
+ *
+ * @param {FLIP} flip - The helper.
+ * @returns {Boolean} Whether anything changed.
+ */
+export function hasChanged (flip) {
+
+  let first = flip.first_.layout;
+  let last = flip.last_.layout;
+
+  return (first.left !== last.left ||
+      first.top !== last.top ||
+      first.width !== last.width ||
+      first.height !== last.height ||
+      flip.first_.opacity !== flip.last_.opacity);
+}
@@ -0,0 +1,122 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * How close to rest, in progress units, the spring has to stay to count as
+ * settled.
+ *
+ * @private
+ */
+const REST_THRESHOLD = 0.001;
+
+/**
+ * The longest a spring is allowed to run, in milliseconds.
+ *
+ * @private
+ */
+const MAX_DURATION = 10000;
+
+/**
+ * Creates an easing function that follows a damped spring from 0 to 1. The
+ * function takes progress through the spring's settling time, so it has a
+ * <code>duration</code> property, in milliseconds, to play it over.
+ *
+ * @param {Object} [options] - The configuration for the spring.
+ * @param {Number} [options.stiffness=100] - The spring's stiffness.
+ * @param {Number} [options.damping=10] - The spring's damping.
+ * @param {Number} [options.mass=1] - The mass on the end of the spring.
+ * @param {Number} [options.velocity=0] - The initial velocity, in progress
+ *  per second.
+ * @returns {Function} The easing function.
+ */
+export function createSpring (options={}) {
+
+  let defaults = {
+    stiffness: 100,
+    damping: 10,
+    mass: 1,
+    velocity: 0
+  };
+
+  let config = Object.assign({}, defaults, options);
+  let position = getPositionFunction(config);
+
+  // Step through in frame-sized chunks and find the last point at which the
+  // spring was still moving noticeably.
+  let step = 1 / 60;
+  let settled = 0;
+
+  for (let t = 0; t <= MAX_DURATION / 1000; t += step) {
+    let moving = Math.abs(position(t)) > REST_THRESHOLD ||
+        Math.abs(position(t + step) - position(t)) > REST_THRESHOLD;
+
+    if (moving)
+      settled = t + step;
+  }
+
+  let duration = Math.min(MAX_DURATION, settled * 1000);
+  let easing = function (t) {
+
+    if (t <= 0)
+      return 0;
+
+    if (t >= 1)
+      return 1;
+
+    return 1 - position(t * duration / 1000);
+  };
+
+  easing.duration = duration;
+  return easing;
+}
+
+/**
+ * Solves the spring's equation of motion for its distance from rest over
+ * time, starting 1 away.
+ *
+ * @private
+ * @param {Object} config - The stiffness, damping, mass and velocity.
+ * @returns {Function} A function from time in seconds to distance from rest.
+ */
+function getPositionFunction (config) {
+
+  let omega = Math.sqrt(config.stiffness / config.mass);
+  let zeta = config.damping / (2 * Math.sqrt(config.stiffness * config.mass));
+
+  // Moving towards rest is moving towards 0.
+  let v0 = -config.velocity;
+
+  if (zeta < 1) {
+    let omegaD = omega * Math.sqrt(1 - zeta * zeta);
+    let b = (v0 + zeta * omega) / omegaD;
+
+    return t => Math.exp(-zeta * omega * t) *
+        (Math.cos(omegaD * t) + b * Math.sin(omegaD * t));
+  }
+
+  if (zeta === 1)
+    return t => Math.exp(-omega * t) * (1 + (v0 + omega) * t);
+
+  let root = Math.sqrt(zeta * zeta - 1);
+  let r1 = -omega * (zeta - root);
+  let r2 = -omega * (zeta + root);
+  let c2 = (v0 - r1) / (r2 - r1);
+  let c1 = 1 - c2;
+
+  return t => c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t);
+}
@@ -0,0 +1,137 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * The ticker for each clock, created as they're needed.
+ *
+ * @private
+ * @type WeakMap
+ */
+const tickers = new WeakMap();
+
+/**
+ * Gets the ticker that runs frames from the given clock, creating it if
+ * needed.
+ *
+ * @param {Clock} clock - The clock.
+ * @returns {Ticker} The ticker.
+ */
+export function getTicker (clock) {
+
+  let ticker = tickers.get(clock);
+
+  if (!ticker) {
+    ticker = new Ticker(clock);
+    tickers.set(clock, ticker);
+  }
+
+  return ticker;
+}
+
+/**
+ * Runs every active animation from a single frame callback. Each frame
+ * reads the styles for every animation before writing any of them, and
+ * the ticker only asks for frames while it has animations to run.
+ *
+ * An animation is any object with a <code>read_(now)</code> function, which
+ * works out what to render without touching the DOM, and a
+ * <code>write_(frame)</code> function, which is passed whatever
+ * <code>read_()</code> returned.
+ */
+export class Ticker {
+
+  /**
+   * Creates a new ticker.
+   *
+   * @param {Clock} clock - The clock to take the time and frames from.
+   */
+  constructor (clock) {
+    this.clock_ = clock;
+    this.animations_ = new Set();
+    this.frame_ = null;
+    this.ticking_ = false;
+    this.tick_ = this.tick_.bind(this);
+  }
+
+  /**
+   * Adds an animation, which runs from the next frame until removed.
+   *
+   * @param {Object} animation - The animation.
+   */
+  add (animation) {
+    this.animations_.add(animation);
+
+    // During a frame the ticker checks for animations once it's done.
+    if (!this.ticking_ && this.frame_ === null)
+      this.frame_ = this.clock_.requestFrame(this.tick_);
+  }
+
+  /**
+   * Removes an animation, and stops asking for frames if it was the last.
+   *
+   * @param {Object} animation - The animation.
+   */
+  remove (animation) {
+    this.animations_.delete(animation);
+
+    if (this.ticking_ || this.frame_ === null || this.animations_.size > 0)
+      return;
+
+    this.clock_.cancelFrame(this.frame_);
+    this.frame_ = null;
+  }
+
+  /**
+   * Gets the number of animations being run.
+   *
+   * @returns {Number} The number of animations.
+   */
+  get size () {
+    return this.animations_.size;
+  }
+
+  /**
+   * Runs a frame for every animation.
+   *
+   * @private
+   */
+  tick_ () {
+
+    let now = this.clock_.now();
+    let animations = Array.from(this.animations_);
+
+    this.frame_ = null;
+    this.ticking_ = true;
+
+    try {
+      let frames = animations.map(animation => animation.read_(now));
+
+      animations.forEach((animation, index) => {
+
+        // An earlier write may have stopped this animation.
+        if (this.animations_.has(animation))
+          animation.write_(frames[index]);
+      });
+    } finally {
+      this.ticking_ = false;
+
+      if (this.animations_.size > 0)
+        this.frame_ = this.clock_.requestFrame(this.tick_);
+    }
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FLIP, { GSAP, WAAPI, CSS } from './index';
+
+FLIP.extend('GSAP', GSAP);
+FLIP.extend('WAAPI', WAAPI);
+FLIP.extend('CSS', CSS);
+
+// Exported as the module itself, so that the UMD build gives FLIP rather than
+// an object containing it.
+module.exports = FLIP;
@@ -0,0 +1,52 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FLIP from './index';
+import FlipBinding from './binding';
+
+/**
+ * The bindings for each element that has the directive.
+ *
+ * @private
+ */
+const bindings = new WeakMap();
+
+/**
+ * A Vue directive that animates an element's children whenever the
+ * component it's in updates. Its value is the configuration for the
+ * animations; see {@link FlipBinding}. Register it with
+ * <code>app.directive('flip', vFlip)</code>.
+ */
+export const vFlip = {
+
+  mounted (element, binding) {
+    bindings.set(element, new FlipBinding(FLIP, binding.value));
+  },
+
+  beforeUpdate (element) {
+    bindings.get(element).beforeUpdate(element);
+  },
+
+  updated (element) {
+    bindings.get(element).afterUpdate(element);
+  },
+
+  unmounted (element) {
+    bindings.delete(element);
+  }
+};
@@ -0,0 +1,145 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+export default {
+
+  /**
+   * Sets up the animation to use the Web Animations API. Falls back to the
+   * rAF player where <code>element.animate</code> isn't available.
+   *
+   * @private
+   * @param {Number} startTime - The start time to use for coordinating multiple
+   *  FLIP animations.
+   */
+  play_: function (startTime) {
+
+    if (typeof this.element_.animate !== 'function') {
+      this.usePlayer_('rAF');
+      this.play_(startTime);
+      return;
+    }
+
+    let delay = this.delay_;
+
+    // Turn the shared start time into a delay relative to now.
+    if (typeof startTime !== 'undefined')
+      delay += startTime - this.now_();
+
+    let timing = {
+      duration: this.duration_,
+      delay: delay,
+      easing: 'linear',
+      fill: 'both'
+    };
+
+    let childKeyframes = this.getKeyframes_(
+        remappedTime => this.getChildStylesAt_(remappedTime));
+
+    this.animations_ = [this.element_.animate(this.getKeyframes_(), timing)]
+        .concat(this.correctedChildren_.map(child => {
+          return child.animate(childKeyframes, timing);
+        }));
+
+    this.animations_[0].onfinish = this.finish_;
+  },
+
+  /**
+   * Removes the inverted styles, then the animations, which are holding the
+   * final keyframe until now.
+   *
+   * @private
+   */
+  finish_: function () {
+    let animations = this.animations_;
+    animations[0].onfinish = null;
+
+    this.cleanUpAndFireEvent_();
+    animations.forEach(animation => animation.cancel());
+  },
+
+  /**
+   * Pauses the animations.
+   *
+   * @private
+   */
+  pause_: function () {
+    this.animations_.forEach(animation => animation.pause());
+  },
+
+  /**
+   * Resumes the animations.
+   *
+   * @private
+   */
+  resume_: function () {
+    this.animations_.forEach(animation => animation.play());
+  },
+
+  /**
+   * Jumps the animations to the given progress, with the given wait left of
+   * the delay.
+   *
+   * @private
+   * @param {Number} progress - The progress, between 0 and 1.
+   * @param {Number} [wait=0] - How long to hold there before carrying on,
+   *  in milliseconds.
+   */
+  seek_: function (progress, wait=0) {
+    let timing = this.animations_[0].effect.getTiming();
+    let currentTime = timing.delay + progress * this.duration_ - wait;
+
+    this.animations_.forEach(animation => {
+      animation.currentTime = currentTime;
+    });
+  },
+
+  /**
+   * Flips the direction of the animations, leaving their paused state alone.
+   *
+   * @private
+   */
+  reverse_: function () {
+    this.animations_.forEach(animation => {
+      animation.playbackRate *= -1;
+    });
+  },
+
+  /**
+   * Works out the progress of the animations from the element's one.
+   *
+   * @private
+   * @returns {Number} The progress, between 0 and 1.
+   */
+  getProgress_: function () {
+    let animation = this.animations_[0];
+    let timing = animation.effect.getTiming();
+    let time = (animation.currentTime - timing.delay) / this.duration_;
+
+    return this.clamp_(time, 0, 1);
+  },
+
+  /**
+   * Cancels the animations.
+   *
+   * @private
+   */
+  cancel_: function () {
+    this.animations_[0].onfinish = null;
+    this.animations_.forEach(animation => animation.cancel());
+  }
+};
@@ -0,0 +1,276 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { Flip } from '../src/react';
+import FlipBinding from '../src/binding';
+import { vFlip } from '../src/vue';
+import { defineFlipGroup } from '../src/element';
+import { FLIP, cleanUp } from './helpers';
+
+describe('Framework bindings', () => {
+
+  let clock;
+  let getBoundingClientRect;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+
+    // Stack every child 100px below the one before it, since jsdom doesn't
+    // do layout.
+    getBoundingClientRect = window.HTMLElement.prototype.getBoundingClientRect;
+    window.HTMLElement.prototype.getBoundingClientRect = function () {
+      let index = Array.from(this.parentNode.children).indexOf(this);
+      return { left: 0, top: index * 100, width: 100, height: 100 };
+    };
+  });
+
+  afterEach(() => {
+    window.HTMLElement.prototype.getBoundingClientRect = getBoundingClientRect;
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Creates a list with an item for each of the given keys.
+   */
+  function createList (keys) {
+    let list = document.createElement('ul');
+
+    keys.forEach(key => {
+      let item = document.createElement('div');
+      item.id = key;
+      list.appendChild(item);
+    });
+
+    document.body.appendChild(list);
+    return list;
+  }
+
+  /**
+   * Gets the transform on each of the list's items, by key.
+   */
+  function getTransforms (list) {
+    let transforms = {};
+
+    Array.from(list.children).forEach(item => {
+      transforms[item.id] = item.style.transform;
+    });
+
+    return transforms;
+  }
+
+  describe('<Flip>', () => {
+
+    let root;
+
+    before(() => {
+      global.IS_REACT_ACT_ENVIRONMENT = true;
+    });
+
+    after(() => {
+      delete global.IS_REACT_ACT_ENVIRONMENT;
+    });
+
+    afterEach(() => {
+      React.act(() => root.unmount());
+    });
+
+    /**
+     * A list that animates its items when they change.
+     */
+    function List ({ items, options, listRef }) {
+      let list = React.createElement('ul', { ref: listRef }, items.map(item => {
+        return React.createElement('div', { key: item, id: item });
+      }));
+
+      return React.createElement(Flip,
+          Object.assign({ flipKey: items }, options), list);
+    }
+
+    /**
+     * Renders the list into the document, optionally in strict mode.
+     */
+    function render (items, options, strict=false) {
+      let list = React.createElement(List, { items, options });
+
+      if (strict)
+        list = React.createElement(React.StrictMode, null, list);
+
+      React.act(() => root.render(list));
+      return document.querySelector('ul');
+    }
+
+    beforeEach(() => {
+      let container = document.createElement('div');
+      document.body.appendChild(container);
+      root = createRoot(container);
+    });
+
+    it('leaves the first render alone', () => {
+      let list = render(['a', 'b', 'c']);
+
+      assert.deepEqual(getTransforms(list), { a: '', b: '', c: '' });
+    });
+
+    it('animates the children when the key changes', () => {
+      render(['a', 'b', 'c'], { duration: 100 });
+
+      let list = render(['c', 'a', 'b'], { duration: 100 });
+
+      assert.deepEqual(getTransforms(list), {
+        c: 'translate(0px, 200px) scale(1, 1)',
+        a: 'translate(0px, -100px) scale(1, 1)',
+        b: 'translate(0px, -100px) scale(1, 1)'
+      });
+
+      clock.advance(100);
+      assert.deepEqual(getTransforms(list), { a: '', b: '', c: '' });
+    });
+
+    it('does nothing when the key is the same', () => {
+      let items = ['a', 'b', 'c'];
+
+      render(items);
+
+      let list = render(items);
+
+      assert.deepEqual(getTransforms(list), { a: '', b: '', c: '' });
+    });
+
+    it('animates new children in with an enter option', () => {
+      render(['a', 'b'], { enter: 'fade' });
+
+      let list = render(['c', 'a', 'b'], { enter: 'fade' });
+
+      assert.equal(list.querySelector('#c').style.opacity, '0');
+    });
+
+    it('only snapshots once per commit in strict mode', () => {
+      let beforeUpdate = FlipBinding.prototype.beforeUpdate;
+      let calls = 0;
+
+      FlipBinding.prototype.beforeUpdate = function (container) {
+        calls++;
+        return beforeUpdate.call(this, container);
+      };
+
+      try {
+        render(['a', 'b', 'c'], { duration: 100 }, true);
+
+        let list = render(['c', 'a', 'b'], { duration: 100 }, true);
+
+        assert.equal(calls, 1);
+        assert.equal(list.querySelector('#c').style.transform,
+            'translate(0px, 200px) scale(1, 1)');
+      } finally {
+        FlipBinding.prototype.beforeUpdate = beforeUpdate;
+      }
+    });
+
+    it('passes the element on to its own ref', () => {
+      let listRef = React.createRef();
+
+      React.act(() => root.render(React.createElement(List,
+          { items: ['a'], listRef })));
+
+      assert.equal(listRef.current, document.querySelector('ul'));
+    });
+  });
+
+  describe('vFlip', () => {
+
+    it('animates the children across an update', () => {
+      let list = createList(['a', 'b', 'c']);
+
+      vFlip.mounted(list, { value: { duration: 100 } });
+      vFlip.beforeUpdate(list);
+      list.appendChild(list.querySelector('#a'));
+      vFlip.updated(list);
+
+      assert.deepEqual(getTransforms(list), {
+        b: 'translate(0px, 100px) scale(1, 1)',
+        c: 'translate(0px, 100px) scale(1, 1)',
+        a: 'translate(0px, -200px) scale(1, 1)'
+      });
+
+      vFlip.unmounted(list);
+    });
+
+    it('only animates the children asked for', () => {
+      let list = createList(['a', 'b', 'c']);
+
+      list.querySelector('#a').className = 'card';
+
+      vFlip.mounted(list, { value: { children: '.card' } });
+      vFlip.beforeUpdate(list);
+      list.appendChild(list.querySelector('#a'));
+      list.appendChild(list.querySelector('#b'));
+      vFlip.updated(list);
+
+      assert.deepEqual(getTransforms(list), {
+        c: '',
+        a: 'translate(0px, -100px) scale(1, 1)',
+        b: ''
+      });
+    });
+  });
+
+  describe('<flip-group>', () => {
+
+    /**
+     * Waits for the mutation observer to be told about changes.
+     */
+    function mutations () {
+      return new Promise(resolve => setTimeout(resolve));
+    }
+
+    it('is only defined once', () => {
+      assert.equal(defineFlipGroup(), defineFlipGroup());
+      assert.equal(window.customElements.get('flip-group'), defineFlipGroup());
+    });
+
+    it('animates its children when they move', () => {
+      defineFlipGroup();
+
+      let group = document.createElement('flip-group');
+      group.setAttribute('duration', '100');
+      group.innerHTML = '<div id="a"></div><div id="b"></div>';
+      document.body.appendChild(group);
+
+      group.appendChild(group.querySelector('#a'));
+
+      return mutations().then(() => {
+        assert.equal(group.observer_.flips_.get(group.children[0]).duration_,
+            100);
+        assert.deepEqual(getTransforms(group), {
+          b: 'translate(0px, 100px) scale(1, 1)',
+          a: 'translate(0px, -100px) scale(1, 1)'
+        });
+
+        group.remove();
+        assert.equal(group.observer_, null);
+      });
+    });
+  });
+});
@@ -0,0 +1,639 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp, recordEvents } from './helpers';
+
+describe('FLIP', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+  });
+
+  afterEach(() => {
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Creates a helper for an element that moves from one layout to another
+   * when the 'end' class is added.
+   */
+  function createMovingFlip (options={}) {
+
+    let element = createElement({ left: 0, top: 0, width: 100, height: 100 });
+    let flip = new FLIP(Object.assign({ element, duration: 100 }, options));
+    let addClass = element.classList.add.bind(element.classList);
+
+    element.classList.add = (className) => {
+      addClass(className);
+      element.setLayout({ left: 100, top: 50, width: 200, height: 50 });
+    };
+
+    return flip;
+  }
+
+  describe('constructor', () => {
+
+    it('requires an element', () => {
+      assert.throws(() => new FLIP(), /Element must be provided/);
+    });
+
+    it('rejects easings that are not functions or GSAP eases', () => {
+      assert.throws(() => new FLIP({ element: createElement(), easing: {} }),
+          /Easing function must be provided/);
+    });
+
+    it('accepts CSS timing functions as easings', () => {
+      let flip = new FLIP({ element: createElement(), easing: 'ease-out' });
+      assert.equal(flip.easingName_, 'ease-out');
+      assert.equal(flip.easing_(1), 1);
+      assert.ok(flip.easing_(0.5) > 0.5);
+    });
+
+    it('accepts GSAP eases', () => {
+      let flip = new FLIP({ element: createElement(), easing: {
+        getRatio: t => t * t
+      }});
+
+      assert.equal(flip.easing_(0.5), 0.25);
+    });
+
+    it('throws for unknown players', () => {
+      assert.throws(() => new FLIP({ element: createElement(), play: 'nope' }),
+          /Unknown player type: nope/);
+    });
+
+    it('takes its duration from a spring easing', () => {
+      let easing = FLIP.spring({ stiffness: 100, damping: 10 });
+      let flip = new FLIP({ element: createElement(), easing });
+      assert.equal(flip.duration_, easing.duration);
+    });
+
+    it('prefers an explicit duration over the spring\'s', () => {
+      let easing = FLIP.spring();
+      let flip = new FLIP({ element: createElement(), easing, duration: 50 });
+      assert.equal(flip.duration_, 50);
+    });
+  });
+
+  describe('invert()', () => {
+
+    it('requires first() and last()', () => {
+      let flip = createMovingFlip();
+      assert.throws(() => flip.invert(), /first\(\) before invert\(\)/);
+
+      flip.first();
+      assert.throws(() => flip.invert(), /last\(\) before invert\(\)/);
+    });
+
+    it('moves the element back to its First position', () => {
+      let flip = createMovingFlip();
+
+      flip.first();
+      flip.last('end');
+      flip.invert();
+
+      assert.deepEqual(flip.invert_, { x: -100, y: -50, sx: 0.5, sy: 2, a: 0 });
+      assert.equal(flip.element_.style.transform,
+          'translate(-100px, -50px) scale(0.5, 2)');
+      assert.equal(flip.element_.style.transformOrigin, '0 0');
+      assert.equal(flip.element_.style.opacity, '1');
+      assert.equal(flip.element_.style.willChange, 'transform,opacity');
+    });
+
+    it('inverts opacity', () => {
+      let flip = createMovingFlip();
+
+      flip.first();
+      flip.last('faded');
+      flip.invert();
+
+      assert.equal(flip.invert_.a, -0.5);
+      assert.equal(flip.element_.style.opacity, '1');
+    });
+
+    it('leaves transforms alone when asked to', () => {
+      let flip = createMovingFlip({ transform: false });
+
+      flip.snapshot('end');
+      assert.equal(flip.element_.style.transform, '');
+    });
+
+    it('sets up extra properties from their First values', () => {
+      let flip = createMovingFlip({ properties: ['color'] });
+
+      flip.element_.style.color = 'rgb(255, 0, 0)';
+      flip.first();
+      flip.element_.style.color = 'rgb(0, 0, 255)';
+      flip.last();
+      flip.invert();
+
+      assert.equal(flip.element_.style.color, 'rgb(255, 0, 0)');
+      assert.equal(flip.getStylesAt_(0.5).color, 'rgba(127.5, 0, 127.5, 1)');
+    });
+  });
+
+  describe('play()', () => {
+
+    it('returns a Promise that resolves on completion', () => {
+      let flip = createMovingFlip();
+      let events = recordEvents(flip.element_, ['flipComplete']);
+
+      flip.snapshot('end');
+      let played = flip.play();
+      clock.advance(100);
+
+      return played.then(() => {
+        assert.deepEqual(events, ['flipComplete']);
+      });
+    });
+
+    it('calls the lifecycle hooks', () => {
+      let calls = [];
+      let flip = createMovingFlip({
+        onStart: () => calls.push('start'),
+        onUpdate: progress => calls.push(progress),
+        onComplete: () => calls.push('complete')
+      });
+
+      flip.snapshot('end');
+      flip.play();
+      clock.advance(100, 50);
+
+      assert.deepEqual(calls, ['start', 0.5, 1, 'complete']);
+    });
+
+    it('removes the inverted styles when done', () => {
+      let flip = createMovingFlip();
+
+      flip.snapshot('end');
+      flip.play();
+      clock.advance(100);
+
+      assert.equal(flip.element_.style.transform, '');
+      assert.equal(flip.element_.style.opacity, '');
+      assert.equal(flip.element_.style.willChange, '');
+      assert.equal(flip.first_.layout, null);
+      assert.equal(flip.last_.layout, null);
+    });
+
+    it('puts back the inline values of extra properties', () => {
+      let flip = createMovingFlip({ properties: ['color', 'backgroundColor'] });
+
+      flip.first();
+      flip.element_.style.color = 'rgb(0, 0, 255)';
+      flip.last();
+      flip.invert();
+
+      let played = flip.play();
+      clock.advance(100);
+
+      return played.then(() => {
+        assert.equal(flip.element_.style.color, 'rgb(0, 0, 255)');
+        assert.equal(flip.element_.style.backgroundColor, '');
+      });
+    });
+
+    it('restores an inline transform when done', () => {
+      let flip = createMovingFlip();
+
+      flip.element_.style.transform = 'rotate(45deg)';
+      flip.snapshot('end');
+      flip.play();
+      clock.advance(100);
+
+      assert.equal(flip.element_.style.transform, 'rotate(45deg)');
+    });
+  });
+
+  describe('authored transforms', () => {
+
+    let getComputedStyle = window.getComputedStyle;
+
+    // jsdom doesn't resolve transforms into matrices the way browsers do.
+    let matrices = {
+      'rotate(0.5rad)': `matrix(${Math.cos(0.5)}, ${Math.sin(0.5)}, ` +
+          `${-Math.sin(0.5)}, ${Math.cos(0.5)}, 0, 0)`,
+      'scale(2, 1)': 'matrix(2, 0, 0, 1, 0, 0)'
+    };
+
+    beforeEach(() => {
+      window.getComputedStyle = (element) => {
+        let style = getComputedStyle(element);
+        let matrix = matrices[element.style.transform];
+
+        return new Proxy(style, {
+          get (target, property) {
+            if (property === 'transform')
+              return matrix || 'none';
+
+            return target[property];
+          }
+        });
+      };
+    });
+
+    afterEach(() => {
+      window.getComputedStyle = getComputedStyle;
+    });
+
+    it('animates between them and ends on the authored one', () => {
+      let flip = createMovingFlip({ easing: 'linear' });
+
+      flip.element_.style.transform = 'rotate(0.5rad)';
+      flip.first();
+      flip.element_.style.transform = 'scale(2, 1)';
+      flip.last('end');
+      flip.invert();
+      flip.play();
+      clock.tick(50);
+
+      let transform = flip.element_.style.transform;
+      let rotate = parseFloat(/rotate\(([^)]+)rad\)/.exec(transform)[1]);
+
+      assert.ok(Math.abs(rotate - 0.25) < 1e-6, transform);
+      assert.ok(/scale\(1\.5, 1\) scale\(/.test(transform), transform);
+
+      clock.advance(50);
+      assert.equal(flip.element_.style.transform, 'scale(2, 1)');
+    });
+  });
+
+  describe('cancel()', () => {
+
+    it('cleans up and fires flipCancel instead of flipComplete', () => {
+      let completed = false;
+      let flip = createMovingFlip({ onComplete: () => completed = true });
+      let events = recordEvents(flip.element_, ['flipComplete', 'flipCancel']);
+
+      flip.snapshot('end');
+      let played = flip.play();
+      clock.tick(25);
+      flip.cancel();
+      clock.advance(100);
+
+      assert.deepEqual(events, ['flipCancel']);
+      assert.equal(completed, false);
+      assert.equal(flip.element_.style.transform, '');
+      return played;
+    });
+
+    it('does nothing when not playing', () => {
+      let flip = createMovingFlip();
+      let events = recordEvents(flip.element_, ['flipCancel']);
+
+      flip.cancel();
+      assert.deepEqual(events, []);
+    });
+  });
+
+  describe('first() while playing', () => {
+
+    it('interrupts the running animation', () => {
+      let flip = createMovingFlip();
+      let events = recordEvents(flip.element_,
+          ['flipComplete', 'flipInterrupt']);
+
+      flip.snapshot('end');
+      let played = flip.play();
+      clock.tick(50);
+      flip.first();
+
+      assert.deepEqual(events, ['flipInterrupt']);
+      assert.equal(flip.playing_, false);
+      assert.equal(flip.element_.style.transform, '');
+
+      // The old loop has stopped.
+      clock.advance(100);
+      assert.deepEqual(events, ['flipInterrupt']);
+
+      return played;
+    });
+
+    it('carries the velocity into a spring', () => {
+      let flip = createMovingFlip({ spring: { stiffness: 100, damping: 10 } });
+
+      flip.snapshot('end');
+      flip.play();
+      clock.tick(50);
+      flip.first();
+      flip.element_.setLayout({ left: 0, top: 0, width: 100, height: 100 });
+      flip.last();
+
+      let still = FLIP.spring({ stiffness: 100, damping: 10 });
+      assert.ok(flip.velocity_.x > 0);
+
+      // Heading back the other way, the spring starts against its motion.
+      flip.invert();
+      assert.ok(flip.easing_(0.05) < still(0.05));
+    });
+  });
+
+  describe('relativeTo', () => {
+
+    /**
+     * Sets how far an element, or the window, is scrolled.
+     */
+    function scroll (target, property, value) {
+      Object.defineProperty(target, property, { value, configurable: true });
+    }
+
+    afterEach(() => {
+      scroll(window, 'pageYOffset', 0);
+    });
+
+    it('ignores a container scrolling', () => {
+      let container = createElement({ left: 0, top: 0, width: 500,
+          height: 500 });
+      let element = createElement({ left: 10, top: 10, width: 100,
+          height: 100 });
+      let flip = new FLIP({ element, relativeTo: container });
+
+      flip.first();
+      scroll(container, 'scrollTop', 50);
+      element.setLayout({ left: 10, top: -40, width: 100, height: 100 });
+      flip.last();
+      flip.invert();
+
+      assert.equal(flip.invert_.y, 0);
+    });
+
+    it('ignores the page scrolling', () => {
+      let element = createElement();
+      let flip = new FLIP({ element, relativeTo: 'page' });
+
+      flip.first();
+      // The element moves down the page by 50px, but the page scrolls by
+      // 100px, so it moves up the viewport.
+      scroll(window, 'pageYOffset', 100);
+      element.setLayout({ left: 0, top: -50, width: 100, height: 100 });
+      flip.last();
+      flip.invert();
+
+      assert.equal(flip.invert_.y, -50);
+    });
+
+    it('moves only relative to an ancestor that\'s animating', () => {
+      let parentElement = createElement({ left: 0, top: 0, width: 200,
+          height: 200 });
+      let element = createElement({ left: 50, top: 50, width: 50,
+          height: 50 });
+      let parent = new FLIP({ element: parentElement });
+      let flip = new FLIP({ element, relativeTo: parent });
+      let group = FLIP.group([parent, flip]);
+
+      group.first();
+
+      // The parent moves and doubles in size, taking the child with it.
+      parentElement.setLayout({ left: 100, top: 0, width: 400, height: 400 });
+      element.setLayout({ left: 200, top: 100, width: 100, height: 100 });
+      group.last();
+      group.invert();
+
+      assert.deepEqual(parent.invert_,
+          { x: -100, y: 0, sx: 0.5, sy: 0.5, a: 0 });
+      assert.deepEqual(flip.invert_, { x: 0, y: 0, sx: 1, sy: 1, a: 0 });
+    });
+
+    it('still animates a child that moves within its ancestor', () => {
+      let parentElement = createElement({ left: 0, top: 0, width: 200,
+          height: 200 });
+      let element = createElement({ left: 0, top: 0, width: 50,
+          height: 50 });
+      let parent = new FLIP({ element: parentElement });
+      let flip = new FLIP({ element, relativeTo: parent });
+      let group = FLIP.group([parent, flip]);
+
+      group.first();
+      parentElement.setLayout({ left: 0, top: 0, width: 400, height: 400 });
+      element.setLayout({ left: 300, top: 0, width: 100, height: 100 });
+      group.last();
+      group.invert();
+
+      // At the start the parent is at half size, so the child's First
+      // position inside it is doubled.
+      assert.deepEqual(flip.invert_, { x: -300, y: 0, sx: 1, sy: 1, a: 0 });
+    });
+  });
+
+  describe('scale correction', () => {
+
+    it('puts back inline styles on the element and children', () => {
+      let flip = createMovingFlip({
+        scaleCorrection: { children: 'span', borderRadius: true }
+      });
+      let child = document.createElement('span');
+
+      flip.element_.style.borderRadius = '4px';
+      child.style.transform = 'rotate(45deg)';
+      child.style.transformOrigin = 'center';
+      child.style.willChange = 'opacity';
+      flip.element_.appendChild(child);
+
+      flip.first();
+      flip.last('end');
+      flip.invert();
+
+      assert.equal(child.style.transformOrigin, '0 0');
+      assert.notEqual(flip.element_.style.borderRadius, '4px');
+
+      let played = flip.play();
+      clock.advance(100);
+
+      return played.then(() => {
+        assert.equal(flip.element_.style.borderRadius, '4px');
+        assert.equal(child.style.transform, 'rotate(45deg)');
+        assert.equal(child.style.transformOrigin, 'center');
+        assert.equal(child.style.willChange, 'opacity');
+      });
+    });
+    it('keeps the corrections finite for an element that grows from nothing',
+        () => {
+      let element = createElement({ left: 0, top: 0, width: 0, height: 50 });
+      let flip = new FLIP({
+        element,
+        duration: 100,
+        scaleCorrection: { children: 'span', borderRadius: true }
+      });
+      let child = document.createElement('span');
+
+      // jsdom doesn't expand the shorthand.
+      ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'].forEach(corner => {
+        element.style[`border${corner}Radius`] = '4px';
+      });
+      element.appendChild(child);
+
+      flip.first();
+      element.setLayout({ left: 0, top: 0, width: 200, height: 100 });
+      flip.last();
+      flip.invert();
+
+      assert.equal(child.style.transform, 'scale(10000, 2)');
+      assert.equal(element.style.borderRadius,
+          '40000px 40000px 40000px 40000px / 8px 8px 8px 8px');
+    });
+  });
+
+  describe('clip mode', () => {
+
+    it('rejects unknown modes', () => {
+      assert.throws(() => new FLIP({ element: createElement(), mode: 'fit' }),
+          /Unknown mode: fit/);
+    });
+
+    it('translates, and clips to the First size instead of scaling', () => {
+      let flip = createMovingFlip({ mode: 'clip' });
+
+      flip.first();
+      flip.last('end');
+      flip.invert();
+
+      assert.equal(flip.element_.style.transform, 'translate(-100px, -50px)');
+      assert.equal(flip.element_.style.clipPath, 'inset(0px 100px 0px 0px)');
+      assert.equal(flip.element_.style.willChange,
+          'transform,clip-path,opacity');
+    });
+
+    it('reveals the element as it plays', () => {
+      let flip = createMovingFlip({ mode: 'clip' });
+
+      flip.first();
+      flip.last('end');
+      flip.invert();
+      flip.play();
+      clock.tick(50);
+
+      assert.equal(flip.element_.style.clipPath, 'inset(0px 50px 0px 0px)');
+
+      clock.advance(50);
+      assert.equal(flip.element_.style.clipPath, '');
+    });
+
+    it('leaves children alone', () => {
+      let flip = createMovingFlip({
+        mode: 'clip',
+        scaleCorrection: { children: 'span' }
+      });
+
+      flip.element_.appendChild(document.createElement('span'));
+      flip.first();
+      flip.last('end');
+      flip.invert();
+
+      assert.deepEqual(flip.correctedChildren_, []);
+    });
+  });
+
+  describe('descriptors', () => {
+
+    /**
+     * Creates a helper that's been snapshotted and inverted.
+     */
+    function createInvertedFlip (options) {
+      let flip = createMovingFlip(options);
+
+      flip.first();
+      flip.last('end');
+      flip.invert();
+
+      return flip;
+    }
+
+    /**
+     * Rounds the way descriptors do.
+     */
+    function round (value) {
+      return Math.round(value * 1e5) / 1e5;
+    }
+
+    it('needs the snapshots', () => {
+      let flip = createMovingFlip();
+      assert.throws(() => flip.toDescriptor(),
+          /first\(\) before toDescriptor\(\)/);
+    });
+
+    it('describes the animation as JSON', () => {
+      let flip = createInvertedFlip({ delay: 20, easing: 'ease-in' });
+      let descriptor = JSON.parse(JSON.stringify(flip.toDescriptor()));
+
+      assert.equal(descriptor.version, 1);
+      assert.equal(descriptor.duration, 100);
+      assert.equal(descriptor.delay, 20);
+      assert.equal(descriptor.mode, 'scale');
+      assert.deepEqual(descriptor.first.layout,
+          { left: 0, top: 0, width: 100, height: 100 });
+      assert.deepEqual(descriptor.last.layout,
+          { left: 100, top: 50, width: 200, height: 50 });
+      assert.equal(descriptor.last.opacity, 1);
+      assert.deepEqual(descriptor.invert,
+          { x: -100, y: -50, sx: 0.5, sy: 2, a: 0 });
+      assert.equal(descriptor.easing.length, 21);
+      assert.equal(descriptor.easing[0], 0);
+      assert.equal(descriptor.easing[10], round(flip.easing_(0.5)));
+      assert.equal(descriptor.easing[20], 1);
+    });
+
+    it('plays a descriptor on another element', () => {
+      let descriptor = createInvertedFlip().toDescriptor();
+      let element = createElement({ left: 500, top: 500, width: 10,
+          height: 10 });
+      let flip = FLIP.fromDescriptor(descriptor, { element });
+
+      assert.deepEqual(flip.invert_, descriptor.invert);
+      assert.equal(element.style.transform,
+          'translate(-100px, -50px) scale(0.5, 2)');
+
+      let played = flip.play();
+
+      clock.tick(50);
+      assert.equal(element.style.transform,
+          'translate(-50px, -25px) scale(0.75, 1.5)');
+
+      clock.advance(50);
+      return played;
+    });
+
+    it('leaves the descriptor as it was', () => {
+      let descriptor = createInvertedFlip().toDescriptor();
+      let copy = JSON.parse(JSON.stringify(descriptor));
+      let flip = FLIP.fromDescriptor(descriptor, {
+        element: createElement()
+      });
+
+      flip.play();
+      clock.advance(100);
+
+      assert.deepEqual(descriptor, copy);
+    });
+
+    it('rejects unknown versions', () => {
+      let descriptor = createInvertedFlip().toDescriptor();
+
+      descriptor.version = 2;
+      assert.throws(() => FLIP.fromDescriptor(descriptor, {
+        element: createElement()
+      }), /Unsupported descriptor version: 2/);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { toCubicBezier, parseEasing } from '../src/easing';
+import { FLIP, createFlip, cleanUp, recordEvents } from './helpers';
+
+describe('CSS player', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+  });
+
+  afterEach(() => {
+    delete window.CSS;
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Creates a helper, ready to play with CSS transitions.
+   */
+  function createCSSFlip (options={}) {
+    return createFlip(Object.assign({ play: 'CSS' }, options));
+  }
+
+  /**
+   * Fires a <code>transitionend</code> event on an element.
+   */
+  function endTransition (element, propertyName) {
+    let evt = new window.Event('transitionend', { bubbles: true });
+    evt.propertyName = propertyName;
+    element.dispatchEvent(evt);
+  }
+
+  it('transitions the animated properties', () => {
+    let flip = createCSSFlip({ easing: 'ease-out', delay: 20 });
+
+    flip.play();
+
+    assert.equal(flip.element_.style.transition,
+        'transform 100ms ease-out 20ms, opacity 100ms ease-out 20ms');
+  });
+
+  it('finishes when one of its own transitions ends', () => {
+    let flip = createCSSFlip();
+    let events = recordEvents(flip.element_, ['flipComplete']);
+
+    flip.play();
+    endTransition(flip.element_, 'color');
+    assert.deepEqual(events, []);
+
+    endTransition(flip.element_, 'transform');
+    assert.deepEqual(events, ['flipComplete']);
+  });
+
+  it('finishes without transitionend, using the clock', () => {
+    let flip = createCSSFlip({ delay: 20 });
+    let events = recordEvents(flip.element_, ['flipComplete']);
+    let played = flip.play();
+
+    clock.advance(208);
+    assert.deepEqual(events, []);
+
+    clock.advance(16);
+
+    return played.then(() => {
+      assert.deepEqual(events, ['flipComplete']);
+    });
+  });
+
+  it('waits for the end with one timeout rather than every frame', () => {
+    let flip = createCSSFlip();
+
+    flip.play();
+    clock.tick();
+
+    assert.equal(clock.timers_.size, 1);
+    assert.equal(clock.callbacks_.size, 0);
+  });
+
+  it('keeps the rest of the delay when paused', () => {
+    let flip = createCSSFlip({ delay: 100 });
+
+    flip.play();
+    clock.advance(32);
+    flip.pause();
+    clock.advance(500);
+    flip.resume();
+
+    assert.equal(flip.element_.style.transition,
+        'transform 100ms linear 68ms, opacity 100ms linear 68ms');
+  });
+
+  it('waits before carrying on when a group seeks it back', () => {
+    let flip = createCSSFlip();
+
+    flip.play();
+    flip.seekTo_(-40);
+
+    assert.equal(flip.element_.style.transition,
+        'transform 100ms linear 40ms, opacity 100ms linear 40ms');
+  });
+
+  it('puts back an inline transition when done', () => {
+    let flip = createCSSFlip();
+
+    flip.element_.style.transition = 'color 1s';
+    flip.play();
+    flip.cancel();
+
+    assert.equal(flip.element_.style.transition, 'color 1s');
+  });
+
+  it('uses linear() for sampled easings where it\'s supported', () => {
+    window.CSS = { supports: () => true };
+
+    let flip = createCSSFlip({ easing: t => t * t });
+
+    flip.play();
+    assert.ok(/transform 100ms linear\(0, /.test(
+        flip.element_.style.transition));
+  });
+
+  it('falls back to cubic-bezier() elsewhere', () => {
+    let flip = createCSSFlip({ easing: t => t });
+
+    flip.play();
+    assert.ok(flip.element_.style.transition.includes(
+        'transform 100ms cubic-bezier(0.333, 0.333, 0.667, 0.667) 0ms'));
+  });
+
+  describe('toCubicBezier()', () => {
+
+    it('matches the slope at each end', () => {
+      assert.equal(toCubicBezier(t => t * t),
+          'cubic-bezier(0.333, 0, 0.667, 0.334)');
+      assert.equal(toCubicBezier(parseEasing('linear')),
+          'cubic-bezier(0.333, 0.333, 0.667, 0.667)');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { countDroppedFrames, record } from '../src/debug';
+import { FLIP, createFlip, cleanUp } from './helpers';
+
+describe('Debugging', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+    FLIP.setDebug(true);
+  });
+
+  afterEach(() => {
+    FLIP.setDebug(false);
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  describe('countDroppedFrames()', () => {
+
+    it('counts the frames missed between frame times', () => {
+      assert.equal(countDroppedFrames([]), 0);
+      assert.equal(countDroppedFrames([0, 16, 33, 50]), 0);
+      assert.equal(countDroppedFrames([0, 16, 66, 83]), 2);
+    });
+  });
+
+  describe('FLIP.stats()', () => {
+
+    it('starts out empty', () => {
+      assert.deepEqual(FLIP.stats(), { forcedLayouts: 0, animations: [] });
+    });
+
+    it('records how a helper played', () => {
+      let flip = createFlip({ delay: 10 });
+      let played = flip.play();
+
+      clock.advance(48);
+      clock.tick(50);
+      clock.advance(16);
+
+      return played.then(() => {
+        let stats = FLIP.stats().animations;
+
+        assert.equal(stats.length, 1);
+        assert.equal(stats[0].type, 'flip');
+        assert.equal(stats[0].element, flip.element_);
+        assert.equal(stats[0].player, 'rAF');
+        assert.equal(stats[0].outcome, 'complete');
+        assert.deepEqual(stats[0].measure, { first: 0, last: 0 });
+        assert.equal(stats[0].planned, 110);
+        assert.equal(stats[0].actual, 114);
+        assert.deepEqual(stats[0].frames, [16, 32, 48, 98, 114]);
+        assert.equal(stats[0].droppedFrames, 2);
+      });
+    });
+
+    it('records how an animation ended early', () => {
+      let cancelled = createFlip();
+      let interrupted = createFlip();
+
+      cancelled.play();
+      interrupted.play();
+      clock.tick();
+
+      cancelled.cancel();
+      interrupted.first();
+
+      assert.deepEqual(FLIP.stats().animations.map(stats => stats.outcome),
+          ['cancel', 'interrupt']);
+    });
+
+    it('records how a group played', () => {
+      let group = FLIP.group([createFlip(), createFlip(), createFlip()],
+          { stagger: 50 });
+      let played = group.play();
+
+      clock.advance(200);
+
+      return played.then(() => {
+        let stats = FLIP.stats().animations;
+        let groupStats = stats[stats.length - 1];
+
+        assert.equal(stats.length, 4);
+        assert.equal(groupStats.type, 'group');
+        assert.equal(groupStats.members, 3);
+        assert.equal(groupStats.planned, 200);
+        assert.equal(groupStats.actual, 200);
+        assert.deepEqual(groupStats.measure, { first: 0, last: 0 });
+        assert.equal(groupStats.frames[0], stats[0].frames[0]);
+        assert.equal(groupStats.frames[groupStats.frames.length - 1],
+            stats[2].frames[stats[2].frames.length - 1]);
+        assert.equal(groupStats.droppedFrames, 0);
+      });
+    });
+
+    it('fires a group\'s stats on its first member\'s element', () => {
+      let group = FLIP.group([createFlip(), createFlip()]);
+      let element = group.flips_[0].element_;
+      let events = [];
+
+      element.addEventListener('flipStats', evt => events.push(evt.detail));
+
+      let played = group.play();
+      clock.advance(100);
+
+      return played.then(() => {
+        assert.deepEqual(events.map(stats => stats.type), ['flip', 'group']);
+        assert.equal(events[1], FLIP.stats().animations[2]);
+      });
+    });
+
+    it('keeps the last 100 animations', () => {
+      for (let i = 0; i < 105; i++)
+        record({ type: 'flip', index: i });
+
+      let stats = FLIP.stats().animations;
+
+      assert.equal(stats.length, 100);
+      assert.equal(stats[0].index, 5);
+    });
+
+    it('records nothing unless debugging', () => {
+      FLIP.setDebug(false);
+
+      let flip = createFlip();
+
+      flip.play();
+      clock.advance(100);
+
+      assert.deepEqual(FLIP.stats().animations, []);
+    });
+  });
+
+  describe('flipStats', () => {
+
+    it('fires on the element', () => {
+      let flip = createFlip();
+      let events = [];
+
+      flip.element_.addEventListener('flipStats', evt => events.push(evt));
+      flip.play();
+      clock.advance(100);
+
+      assert.equal(events.length, 1);
+      assert.equal(events[0].detail, FLIP.stats().animations[0]);
+    });
+  });
+
+  describe('overlay', () => {
+
+    it('outlines the First and Last layouts while animating', () => {
+      FLIP.setDebug({ overlay: true });
+
+      let flip = createFlip();
+      let first = document.querySelector('[data-flip-overlay="first"]');
+      let last = document.querySelector('[data-flip-overlay="last"]');
+
+      assert.equal(first.style.top, '0px');
+      assert.equal(last.style.top, '100px');
+      assert.equal(last.style.height, '100px');
+
+      flip.play();
+      clock.advance(100);
+
+      assert.equal(document.querySelectorAll('[data-flip-overlay]').length, 0);
+    });
+
+    it('is off by default', () => {
+      createFlip();
+      assert.equal(document.querySelectorAll('[data-flip-overlay]').length, 0);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { parseEasing, toLinear, sampleEasing, fromSamples }
+    from '../src/easing';
+
+describe('Easing', () => {
+
+  describe('parseEasing()', () => {
+
+    it('parses keywords', () => {
+      assert.equal(parseEasing('linear')(0.3), 0.3);
+      assert.ok(parseEasing('ease-in')(0.5) < 0.5);
+      assert.ok(parseEasing('ease-out')(0.5) > 0.5);
+    });
+
+    it('parses cubic-bezier()', () => {
+      let easing = parseEasing('cubic-bezier(0.42, 0, 1, 1)');
+      assert.equal(easing(0.5), parseEasing('ease-in')(0.5));
+    });
+
+    it('rejects anything else', () => {
+      assert.throws(() => parseEasing('steps(4)'),
+          /Unsupported easing: steps\(4\)/);
+    });
+  });
+
+  describe('sampleEasing()', () => {
+
+    it('samples from 0 to 1 inclusive', () => {
+      assert.deepEqual(sampleEasing(t => t * t, 4),
+          [0, 0.0625, 0.25, 0.5625, 1]);
+    });
+
+    it('is what toLinear() uses', () => {
+      assert.equal(toLinear(t => t, 2), 'linear(0, 0.5, 1)');
+    });
+  });
+
+  describe('fromSamples()', () => {
+
+    it('passes through every sample', () => {
+      let easing = fromSamples([0, 0.25, 1]);
+
+      assert.equal(easing(0), 0);
+      assert.equal(easing(0.5), 0.25);
+      assert.equal(easing(1), 1);
+    });
+
+    it('joins the samples with straight lines', () => {
+      assert.equal(fromSamples([0, 0.25, 1])(0.75), 0.625);
+    });
+
+    it('holds the ends outside of 0 to 1', () => {
+      let easing = fromSamples([0, 1.2, 1]);
+
+      assert.equal(easing(-1), 0);
+      assert.equal(easing(2), 1);
+    });
+
+    it('needs at least two samples', () => {
+      assert.throws(() => fromSamples([1]), /at least two values/);
+    });
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp, recordEvents } from './helpers';
+
+describe('FLIP.group()', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+  });
+
+  afterEach(() => {
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Creates the configs for a row of elements that each move down 100px.
+   */
+  function createRow (count) {
+
+    let configs = [];
+
+    for (let i = 0; i < count; i++) {
+      let element = createElement({
+        left: i * 100, top: 0, width: 100, height: 100
+      });
+
+      configs.push({ element, duration: 100 });
+    }
+
+    return configs;
+  }
+
+  /**
+   * Snapshots a group whose elements all move down 100px.
+   */
+  function snapshot (group, configs) {
+    group.first();
+    configs.forEach(config => {
+      let layout = config.element.getBoundingClientRect();
+      layout.top += 100;
+      config.element.setLayout(layout);
+    });
+    group.last();
+    group.invert();
+  }
+
+  it('expects an array', () => {
+    assert.throws(() => FLIP.group({}), /expects an array/);
+  });
+
+  it('wraps configs, but not helpers or groups', () => {
+    let [a, b, c] = createRow(3);
+    let helper = new FLIP(b);
+    let inner = FLIP.group([c]);
+    let group = FLIP.group([a, helper, inner]);
+
+    assert.ok(group.flips_[0] instanceof FLIP);
+    assert.equal(group.flips_[1], helper);
+    assert.equal(group.flips_[2], inner);
+  });
+
+  it('applies every class before measuring anything', () => {
+    let configs = createRow(2);
+    let calls = [];
+
+    configs.forEach(config => {
+      let element = config.element;
+      let measure = element.getBoundingClientRect;
+      let addClass = element.classList.add.bind(element.classList);
+
+      element.getBoundingClientRect = () => {
+        calls.push('measure');
+        return measure();
+      };
+
+      element.classList.add = (className) => {
+        calls.push(className);
+        addClass(className);
+      };
+    });
+
+    FLIP.group(configs).last(['a', 'b']);
+    assert.deepEqual(calls, ['a', 'b', 'measure', 'measure']);
+  });
+
+  it('resolves play() once every helper is done', () => {
+    let configs = createRow(3);
+    let group = FLIP.group(configs);
+    let done = false;
+
+    snapshot(group, configs);
+
+    let played = group.play().then(() => done = true);
+    clock.advance(100);
+
+    return played.then(() => {
+      assert.equal(done, true);
+    });
+  });
+
+  it('starts every helper at the same time by default', () => {
+    let configs = createRow(3);
+    let group = FLIP.group(configs);
+
+    snapshot(group, configs);
+    group.play(500);
+
+    assert.deepEqual(group.flips_.map(flip => flip.start_), [500, 500, 500]);
+  });
+
+  describe('stagger', () => {
+
+    it('steps by a fixed amount', () => {
+      let configs = createRow(3);
+      let group = FLIP.group(configs, { stagger: 50 });
+
+      snapshot(group, configs);
+      group.play(0);
+
+      assert.deepEqual(group.flips_.map(flip => flip.start_), [0, 50, 100]);
+    });
+
+    it('uses a function of the index', () => {
+      let configs = createRow(3);
+      let group = FLIP.group(configs, { stagger: index => index * index });
+
+      snapshot(group, configs);
+      group.play(0);
+
+      assert.deepEqual(group.flips_.map(flip => flip.start_), [0, 1, 4]);
+    });
+
+    it('spreads by distance from an origin', () => {
+      let configs = createRow(5);
+      let group = FLIP.group(configs, {
+        stagger: { amount: 100, from: 'center' }
+      });
+
+      snapshot(group, configs);
+      group.play(0);
+
+      assert.deepEqual(group.flips_.map(flip => flip.start_),
+          [100, 50, 0, 50, 100]);
+    });
+
+    it('spreads by distance from a member', () => {
+      let configs = createRow(3);
+      let group = FLIP.group(configs, {
+        stagger: { amount: 100, from: 'last' }
+      });
+
+      snapshot(group, configs);
+      group.play(0);
+
+      assert.deepEqual(group.flips_.map(flip => flip.start_), [100, 50, 0]);
+    });
+  });
+
+  describe('sequence', () => {
+
+    it('plays each member once the one before has finished', () => {
+      let configs = createRow(2);
+      let group = FLIP.group(configs, { sequence: true });
+      let events = [];
+
+      configs.forEach((config, index) => {
+        config.element.addEventListener('flipComplete', () => {
+          events.push(index);
+        });
+      });
+
+      snapshot(group, configs);
+
+      let played = group.play();
+
+      // Let the chain start the first member.
+      return Promise.resolve().then(() => {
+        assert.equal(group.flips_[0].playing_, true);
+        assert.equal(group.flips_[1].playing_, false);
+
+        clock.advance(100);
+        return new Promise(resolve => setTimeout(resolve));
+      }).then(() => {
+        assert.deepEqual(events, [0]);
+        assert.equal(group.flips_[1].playing_, true);
+
+        clock.advance(100);
+        return played;
+      }).then(() => {
+        assert.deepEqual(events, [0, 1]);
+      });
+    });
+
+    it('can be controlled as soon as it plays', () => {
+      let configs = createRow(2);
+      let group = FLIP.group(configs, { sequence: true });
+
+      snapshot(group, configs);
+      group.play();
+      group.pause();
+
+      assert.equal(group.flips_[0].paused_, true);
+    });
+
+    it('stops at the start when reversed', () => {
+      let configs = createRow(2);
+      let group = FLIP.group(configs, { sequence: true });
+      let events = [];
+
+      configs.forEach((config, index) => {
+        config.element.addEventListener('flipComplete', () => {
+          events.push(index);
+        });
+      });
+
+      snapshot(group, configs);
+
+      let played = group.play();
+
+      clock.advance(48);
+      group.reverse();
+      clock.advance(48);
+
+      return played.then(() => {
+        assert.deepEqual(events, [0]);
+        assert.equal(group.flips_[1].playing_, false);
+        assert.equal(configs[1].element.style.transform, '');
+      });
+    });
+
+    it('cleans up members that have not started when cancelled', () => {
+      let configs = createRow(2);
+      let group = FLIP.group(configs, { sequence: true });
+
+      snapshot(group, configs);
+      group.play();
+
+      return Promise.resolve().then(() => {
+        group.cancel();
+
+        assert.equal(configs[0].element.style.transform, '');
+        assert.equal(configs[1].element.style.transform, '');
+      });
+    });
+  });
+
+  describe('seek', () => {
+
+    it('puts each member where the stagger has it', () => {
+      let configs = createRow(3);
+      let group = FLIP.group(configs, { stagger: 100 });
+
+      snapshot(group, configs);
+      group.play();
+      group.pause();
+      group.seek(0.5);
+
+      assert.deepEqual(configs.map(config => config.element.style.transform), [
+        'translate(0px, 0px) scale(1, 1)',
+        'translate(0px, -50px) scale(1, 1)',
+        'translate(0px, -100px) scale(1, 1)'
+      ]);
+      assert.equal(group.flips_[1].paused_, true);
+    });
+
+    it('leaves members whose turn hasn\'t come to wait for it', () => {
+      let configs = createRow(3);
+      let group = FLIP.group(configs, { stagger: 100 });
+
+      snapshot(group, configs);
+      group.play();
+      group.seek(0.1);
+      clock.advance(80);
+
+      assert.deepEqual(configs.map(config => config.element.style.transform), [
+        '',
+        'translate(0px, -90px) scale(1, 1)',
+        'translate(0px, -100px) scale(1, 1)'
+      ]);
+    });
+
+    it('starts members of a sequence early', () => {
+      let configs = createRow(2);
+      let group = FLIP.group(configs, { sequence: true });
+      let events = recordEvents(configs[1].element, ['flipComplete']);
+
+      snapshot(group, configs);
+
+      let played = group.play();
+
+      // Let the chain start the first member.
+      return Promise.resolve().then(() => {
+        group.pause();
+        group.seek(0.75);
+
+        assert.equal(configs[1].element.style.transform,
+            'translate(0px, -50px) scale(1, 1)');
+        assert.equal(group.flips_[1].paused_, true);
+
+        group.resume();
+        clock.advance(64);
+
+        return played;
+      }).then(() => {
+        assert.deepEqual(events, ['flipComplete']);
+      });
+    });
+
+    it('leaves a sequence that isn\'t playing alone', () => {
+      let configs = createRow(2);
+      let group = FLIP.group(configs, { sequence: true });
+
+      snapshot(group, configs);
+      group.seek(0.75);
+
+      assert.equal(group.flips_[1].playing_, false);
+    });
+  });
+
+  describe('nesting', () => {
+
+    it('plays groups inside groups', () => {
+      let configs = createRow(4);
+      let inner = FLIP.group(configs.slice(2), { stagger: 10 });
+      let group = FLIP.group([configs[0], configs[1], inner], {
+        stagger: 100
+      });
+      let events = recordEvents(configs[3].element, ['flipComplete']);
+
+      snapshot(group, configs);
+      let played = group.play(0);
+
+      assert.deepEqual(
+          [group.flips_[0], group.flips_[1]].concat(inner.flips_)
+              .map(flip => flip.start_),
+          [0, 100, 200, 210]);
+
+      clock.advance(310);
+      return played.then(() => {
+        assert.deepEqual(events, ['flipComplete']);
+      });
+    });
+
+    it('passes classes down to nested members', () => {
+      let configs = createRow(2);
+      let group = FLIP.group([configs[0], FLIP.group([configs[1]])]);
+
+      group.addClass('a');
+      assert.ok(configs[1].element.classList.contains('a'));
+
+      group.removeClass('a');
+      assert.ok(!configs[1].element.classList.contains('a'));
+    });
+  });
+});
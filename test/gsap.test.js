@@ -0,0 +1,178 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp, recordEvents } from './helpers';
+
+/**
+ * Stands in for TweenMax, recording what it was asked to do.
+ */
+class FakeTween {
+
+  constructor (target, duration, vars) {
+    this.target = target;
+    this.duration = duration;
+    this.vars = vars;
+    this.progress_ = 0;
+    this.paused_ = false;
+    this.reversed_ = false;
+    this.killed = false;
+    FakeTween.last = this;
+  }
+
+  startTime (time) {
+    this.start = time;
+  }
+
+  pause () {
+    this.paused_ = true;
+  }
+
+  resume () {
+    this.paused_ = false;
+  }
+
+  progress (value) {
+
+    if (typeof value === 'undefined')
+      return this.progress_;
+
+    this.progress_ = value;
+  }
+
+  reversed (value) {
+
+    if (typeof value === 'undefined')
+      return this.reversed_;
+
+    this.reversed_ = value;
+  }
+
+  kill () {
+    this.killed = true;
+  }
+}
+
+describe('GSAP player', () => {
+
+  let flip;
+
+  beforeEach(() => {
+    global.TweenMax = FakeTween;
+
+    let element = createElement({ left: 0, top: 0, width: 100, height: 100 });
+    flip = new FLIP({ element, duration: 500, delay: 100, play: 'GSAP' });
+
+    flip.first();
+    element.setLayout({ left: 100, top: 100, width: 200, height: 200 });
+    flip.last('faded');
+    flip.invert();
+  });
+
+  afterEach(() => {
+    delete global.TweenMax;
+    cleanUp();
+  });
+
+  it('throws if GSAP is not available', () => {
+    delete global.TweenMax;
+    assert.throws(() => flip.play(), /TweenMax\/Lite not available/);
+  });
+
+  it('does not support clip mode', () => {
+    flip.mode_ = 'clip';
+    assert.throws(() => flip.play(), /does not support clip mode/);
+  });
+
+  it('tweens the element back to its natural transform and opacity', () => {
+    flip.play(1000);
+
+    let tween = FakeTween.last;
+
+    assert.equal(tween.target, flip.element_);
+    assert.equal(tween.duration, 0.5);
+    assert.equal(tween.start, 1.1);
+    assert.equal(tween.vars.x, 0);
+    assert.equal(tween.vars.y, 0);
+    assert.equal(tween.vars.scaleX, 1);
+    assert.equal(tween.vars.scaleY, 1);
+    assert.equal(tween.vars.opacity, 0.5);
+    assert.equal(tween.vars.ease, flip.easing_);
+  });
+
+  it('cleans up and resolves when the tween completes', () => {
+    let events = recordEvents(flip.element_, ['flipComplete']);
+    let played = flip.play();
+
+    FakeTween.last.vars.onComplete();
+
+    assert.deepEqual(events, ['flipComplete']);
+    assert.equal(flip.element_.style.transform, '');
+    return played;
+  });
+
+  it('completes when reversed back to the start', () => {
+    let events = recordEvents(flip.element_, ['flipComplete']);
+
+    flip.play();
+    FakeTween.last.vars.onReverseComplete();
+
+    assert.deepEqual(events, ['flipComplete']);
+  });
+
+  it('reports progress to onUpdate', () => {
+    let progress = [];
+
+    flip.onUpdate_ = value => progress.push(value);
+    flip.play();
+    FakeTween.last.progress(0.25);
+    FakeTween.last.vars.onUpdate();
+
+    assert.deepEqual(progress, [0.25]);
+  });
+
+  it('hands the controls to the tween', () => {
+    flip.play();
+
+    let tween = FakeTween.last;
+
+    flip.pause();
+    assert.equal(tween.paused_, true);
+
+    flip.seek(0.5);
+    assert.equal(tween.progress(), 0.5);
+
+    flip.reverse();
+    assert.equal(tween.reversed(), true);
+
+    flip.resume();
+    assert.equal(tween.paused_, false);
+  });
+
+  it('kills the tween when cancelled', () => {
+    let events = recordEvents(flip.element_, ['flipCancel']);
+
+    flip.play();
+    flip.cancel();
+
+    assert.equal(FakeTween.last.killed, true);
+    assert.deepEqual(events, ['flipCancel']);
+  });
+});
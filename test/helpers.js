@@ -0,0 +1,101 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+import FLIP from '../src/core';
+import rAF from '../src/raf';
+import GSAP from '../src/gsap';
+import WAAPI from '../src/waapi';
+import CSS from '../src/css';
+
+FLIP.extend('rAF', rAF);
+FLIP.extend('GSAP', GSAP);
+FLIP.extend('WAAPI', WAAPI);
+FLIP.extend('CSS', CSS);
+
+export { FLIP };
+
+/**
+ * Creates an element in the document whose layout is whatever the test says
+ * it is, since jsdom doesn't do layout.
+ *
+ * @param {Object} [layout] - The element's layout, with <code>left</code>,
+ *  <code>top</code>, <code>width</code> and <code>height</code>.
+ * @returns {HTMLElement} The element. Call <code>setLayout()</code> on it to
+ *  move it.
+ */
+export function createElement (layout={ left: 0, top: 0, width: 100,
+    height: 100 }) {
+
+  let element = document.createElement('div');
+  let current = layout;
+
+  element.getBoundingClientRect = () => Object.assign({}, current);
+  element.setLayout = (next) => {
+    current = next;
+  };
+
+  document.body.appendChild(element);
+  return element;
+}
+
+/**
+ * Creates a helper, ready to play, that moves an element down 100px.
+ *
+ * @param {Object} [options] - The helper's options, on top of a
+ *  <code>duration</code> of 100ms.
+ * @param {String} [lastClassName] - The class name to pass to
+ *  <code>last()</code>.
+ * @returns {FLIP} The helper.
+ */
+export function createFlip (options={}, lastClassName) {
+
+  let element = createElement();
+  let flip = new FLIP(Object.assign({ element, duration: 100 }, options));
+
+  flip.first();
+  element.setLayout({ left: 0, top: 100, width: 100, height: 100 });
+  flip.last(lastClassName);
+  flip.invert();
+
+  return flip;
+}
+
+/**
+ * Removes everything the tests added to the document.
+ */
+export function cleanUp () {
+  document.body.innerHTML = '';
+}
+
+/**
+ * Records the events of the given names fired on an element.
+ *
+ * @param {HTMLElement} element - The element.
+ * @param {Array} names - The event names.
+ * @returns {Array} The names of the events, in the order they fire.
+ */
+export function recordEvents (element, names) {
+
+  let events = [];
+
+  names.forEach(name => {
+    element.addEventListener(name, () => events.push(name));
+  });
+
+  return events;
+}
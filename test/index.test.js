@@ -0,0 +1,125 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import path from 'path';
+
+/**
+ * Requires one of the library's entry points afresh, with its own copy of
+ * every module, so that what it registers doesn't affect the other tests.
+ */
+function requireFresh (name) {
+
+  let src = path.resolve(__dirname, '../src');
+  let cached = Object.keys(require.cache)
+      .filter(file => file.indexOf(src) === 0);
+  let saved = {};
+
+  cached.forEach(file => {
+    saved[file] = require.cache[file];
+    delete require.cache[file];
+  });
+
+  try {
+    return require(path.join(src, name));
+  } finally {
+    Object.keys(require.cache)
+        .filter(file => file.indexOf(src) === 0)
+        .forEach(file => delete require.cache[file]);
+    Object.assign(require.cache, saved);
+  }
+}
+
+describe('Entry points', () => {
+
+  describe('index', () => {
+
+    it('exports FLIP and each player', () => {
+      let index = requireFresh('index');
+
+      assert.equal(index.default, index.FLIP);
+      ['rAF', 'GSAP', 'WAAPI', 'CSS'].forEach(name => {
+        assert.equal(typeof index[name].play_, 'function');
+      });
+    });
+
+    it('only registers the default player', () => {
+      let FLIP = requireFresh('index').FLIP;
+      assert.deepEqual(Object.keys(FLIP.players_), ['rAF']);
+    });
+
+    it('loads without a window', () => {
+      let win = global.window;
+
+      delete global.window;
+
+      try {
+        assert.equal(typeof requireFresh('index').FLIP, 'function');
+      } finally {
+        global.window = win;
+      }
+    });
+  });
+
+  describe('umd', () => {
+
+    it('exports FLIP with every player registered', () => {
+      let FLIP = requireFresh('umd');
+
+      assert.equal(FLIP.name, 'FLIP');
+      assert.deepEqual(Object.keys(FLIP.players_),
+          ['rAF', 'GSAP', 'WAAPI', 'CSS']);
+    });
+  });
+
+  describe('flip', () => {
+
+    let warn;
+    let warnings;
+
+    beforeEach(() => {
+      warn = console.warn;
+      warnings = [];
+      console.warn = message => warnings.push(message);
+    });
+
+    afterEach(() => {
+      console.warn = warn;
+      delete window.FLIP;
+    });
+
+    it('sets window.FLIP', () => {
+      requireFresh('flip');
+
+      assert.equal(window.FLIP.name, 'FLIP');
+      assert.deepEqual(warnings, []);
+    });
+
+    it('leaves an existing window.FLIP alone', () => {
+      let existing = {};
+
+      window.FLIP = existing;
+      requireFresh('flip');
+
+      assert.equal(window.FLIP, existing);
+      assert.deepEqual(warnings, ['FLIP already exists']);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp } from './helpers';
+
+describe('FLIP.layout()', () => {
+
+  let clock;
+  let container;
+  let rows;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+
+    // jsdom doesn't do layout, but it does work out heights from styles.
+    let style = document.createElement('style');
+    style.textContent = '.container { height: 300px; } ' +
+        '.container.open { height: 400px; }';
+    document.body.appendChild(style);
+
+    container = createElement({ left: 0, top: 0, width: 100, height: 300 });
+    container.className = 'container';
+
+    rows = [0, 1, 2].map(index => {
+      let row = createElement(
+          { left: 0, top: index * 100, width: 100, height: 100 });
+      container.appendChild(row);
+      return row;
+    });
+  });
+
+  afterEach(() => {
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Opens the first row, pushing the others down.
+   */
+  function open () {
+    container.classList.add('open');
+    container.setLayout({ left: 0, top: 0, width: 100, height: 400 });
+    rows[0].setLayout({ left: 0, top: 0, width: 100, height: 200 });
+    rows[1].setLayout({ left: 0, top: 200, width: 100, height: 100 });
+    rows[2].setLayout({ left: 0, top: 300, width: 100, height: 100 });
+  }
+
+  it('throws if no container is provided', () => {
+    assert.throws(() => FLIP.layout(), /Container must be provided/);
+  });
+
+  it('moves the siblings of a child that changes size', () => {
+    let layout = FLIP.layout(container, { mode: 'clip', duration: 100 });
+
+    layout.first();
+    open();
+    layout.last();
+    layout.invert();
+
+    assert.equal(rows[0].style.clipPath, 'inset(0px 0px 100px 0px)');
+    assert.equal(rows[1].style.transform, 'translate(0px, -100px)');
+    assert.equal(rows[2].style.transform, 'translate(0px, -100px)');
+
+    let played = layout.play();
+    clock.advance(100);
+
+    return played.then(() => {
+      rows.forEach(row => assert.equal(row.style.transform, ''));
+    });
+  });
+
+  it('animates the container\'s height', () => {
+    let layout = FLIP.layout(container, { duration: 100 });
+
+    layout.first();
+    open();
+    layout.last();
+    layout.invert();
+
+    assert.equal(container.style.height, '300px');
+    assert.equal(container.style.transform, '');
+
+    let played = layout.play();
+    clock.advance(48);
+
+    assert.equal(container.style.height, '348px');
+
+    clock.advance(52);
+
+    return played.then(() => {
+      assert.equal(container.style.height, '');
+    });
+  });
+
+  it('puts back the container\'s inline height when done', () => {
+    let layout = FLIP.layout(container, { duration: 100 });
+
+    container.style.height = '300px';
+    layout.first();
+    container.style.height = '400px';
+    open();
+    layout.last();
+    layout.invert();
+
+    assert.equal(container.style.height, '300px');
+
+    let played = layout.play();
+    clock.advance(100);
+
+    return played.then(() => {
+      assert.equal(container.style.height, '400px');
+    });
+  });
+
+  it('starts the container straight away when staggering', () => {
+    let layout = FLIP.layout(container, { duration: 100, stagger: 50 });
+
+    layout.first();
+    open();
+    layout.last();
+    layout.invert();
+    layout.play();
+
+    let helpers = layout.flips_[0].flips_.concat(layout.flips_[1]);
+
+    assert.deepEqual(helpers.map(flip => flip.start_), [0, 50, 100, 0]);
+  });
+
+  it('only animates the children asked for', () => {
+    rows[1].className = 'row';
+    rows[2].className = 'row';
+
+    let layout = FLIP.layout(container, { children: '.row' });
+
+    assert.deepEqual(layout.flips_[0].flips_.map(flip => flip.element_),
+        [rows[1], rows[2]]);
+  });
+
+  it('can leave the container\'s height alone', () => {
+    let layout = FLIP.layout(container, { height: false });
+
+    layout.first();
+    open();
+    layout.last();
+    layout.invert();
+
+    assert.equal(layout.flips_.length, 1);
+    assert.equal(container.style.height, '');
+  });
+});
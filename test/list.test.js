@@ -0,0 +1,196 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp } from './helpers';
+
+describe('FLIP.list()', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+  });
+
+  afterEach(() => {
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Creates a container with a column of keyed children, each 100px tall.
+   */
+  function createColumn (keys) {
+
+    let container = createElement({ left: 0, top: 0, width: 100,
+        height: keys.length * 100 });
+
+    keys.forEach((key, index) => {
+      let child = createElement({ left: 0, top: index * 100, width: 100,
+          height: 100 });
+
+      child.setAttribute('data-key', key);
+      container.appendChild(child);
+    });
+
+    return container;
+  }
+
+  /**
+   * Gets a keyed child of a container.
+   */
+  function child (container, key) {
+    return container.querySelector(`[data-key="${key}"]`);
+  }
+
+  /**
+   * Lays the container's children out in a column, in DOM order, the way
+   * the browser would, leaving out any absolutely positioned ghosts.
+   */
+  function layOut (container) {
+    Array.from(container.children)
+        .filter(element => element.style.position !== 'absolute')
+        .forEach((element, index) => {
+          element.setLayout({ left: 0, top: index * 100, width: 100,
+              height: 100 });
+        });
+  }
+
+  it('needs a container', () => {
+    assert.throws(() => FLIP.list(), /Container must be provided/);
+  });
+
+  it('moves children to their new positions', () => {
+    let container = createColumn(['a', 'b', 'c']);
+    let list = FLIP.list(container, { duration: 100 });
+    let a = child(container, 'a');
+
+    let updated = list.update(() => {
+      container.appendChild(a);
+      layOut(container);
+    });
+
+    assert.equal(a.style.transform,
+        'translate(0px, -200px) scale(1, 1)');
+    assert.equal(child(container, 'b').style.transform,
+        'translate(0px, 100px) scale(1, 1)');
+
+    clock.advance(116);
+
+    return updated.then(() => {
+      assert.equal(a.style.transform, '');
+    });
+  });
+
+  it('animates new children in', () => {
+    let container = createColumn(['a']);
+    let list = FLIP.list(container, { duration: 100,
+        enter: { opacity: 0, scale: 0.5 } });
+    let b = createElement();
+
+    b.setAttribute('data-key', 'b');
+
+    list.update(() => {
+      container.appendChild(b);
+      layOut(container);
+    });
+
+    assert.ok(b.style.transform.includes(
+        'translate(25px, 25px) rotate(0rad) skewX(0rad) scale(0.5, 0.5)'));
+    assert.equal(b.style.opacity, '0');
+  });
+
+  it('takes the same presets as a helper', () => {
+    let container = createColumn(['a', 'b']);
+    let list = FLIP.list(container, { duration: 100, enter: 'slide-left',
+        exit: 'scale' });
+    let a = child(container, 'a');
+    let c = createElement();
+
+    c.setAttribute('data-key', 'c');
+
+    list.update(() => {
+      container.removeChild(a);
+      container.appendChild(c);
+      layOut(container);
+    });
+
+    assert.ok(c.style.transform.includes('translate(-100px, 0px)'));
+    assert.equal(c.style.opacity, '1');
+
+    clock.advance(50);
+    assert.ok(a.style.transform.includes('scale(0.5, 0.5)'));
+    assert.equal(a.style.opacity, '0.5');
+  });
+
+  it('keeps removed children in place until they animate out', () => {
+    let container = createColumn(['a', 'b']);
+    let list = FLIP.list(container, { duration: 100 });
+    let a = child(container, 'a');
+
+    let updated = list.update(() => {
+      container.removeChild(a);
+      layOut(container);
+    });
+
+    assert.equal(a.parentNode, container);
+    assert.equal(a.style.position, 'absolute');
+    assert.equal(a.style.top, '0px');
+
+    clock.advance(116);
+
+    return updated.then(() => {
+      assert.equal(a.parentNode, null);
+      assert.equal(a.style.position, '');
+    });
+  });
+
+  it('leaves ghosts out of an update that starts while they exit', () => {
+    let container = createColumn(['a', 'b', 'c']);
+    let list = FLIP.list(container, { duration: 100 });
+    let a = child(container, 'a');
+    let c = child(container, 'c');
+
+    let removed = list.update(() => {
+      container.removeChild(a);
+      layOut(container);
+    });
+
+    clock.advance(48);
+
+    let moved = list.update(() => {
+      container.insertBefore(c, child(container, 'b'));
+      layOut(container);
+    });
+
+    assert.equal(list.flips_.has('a'), false);
+    assert.equal(c.style.transform.startsWith('translate(0px, 100px)'),
+        true);
+
+    clock.advance(116);
+
+    return Promise.all([removed, moved]).then(() => {
+      assert.equal(a.parentNode, null);
+      assert.deepEqual(Array.from(container.children)
+          .map(element => element.getAttribute('data-key')), ['c', 'b']);
+    });
+  });
+});
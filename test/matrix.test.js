@@ -0,0 +1,184 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { decompose, interpolateTransform, isIdentity, toCSS }
+    from '../src/matrix';
+
+describe('Matrix', () => {
+
+  /**
+   * Builds the matrix for a decomposed transform, in the same order as
+   * toCSS(): translate, rotate, skewX, then scale.
+   */
+  function toMatrix (transform) {
+
+    let cos = Math.cos(transform.rotate);
+    let sin = Math.sin(transform.rotate);
+    let tan = Math.tan(transform.skew);
+
+    return [
+      cos * transform.scaleX,
+      sin * transform.scaleX,
+      (cos * tan - sin) * transform.scaleY,
+      (sin * tan + cos) * transform.scaleY,
+      transform.translateX,
+      transform.translateY
+    ];
+  }
+
+  function assertClose (actual, expected) {
+    Object.keys(expected).forEach(key => {
+      assert.ok(Math.abs(actual[key] - expected[key]) < 1e-6,
+          `${key}: ${actual[key]} is not ${expected[key]}`);
+    });
+  }
+
+  describe('decompose()', () => {
+
+    it('treats anything but a matrix as the identity', () => {
+      assert.ok(isIdentity(decompose('none')));
+      assert.ok(isIdentity(decompose('')));
+    });
+
+    it('breaks a matrix down into its parts', () => {
+      let transform = {
+        translateX: 10,
+        translateY: 20,
+        rotate: 0.5,
+        skew: 0.3,
+        scaleX: 2,
+        scaleY: 1.5
+      };
+
+      assertClose(decompose(`matrix(${toMatrix(transform).join(', ')})`),
+          transform);
+    });
+
+    it('moves the origin to the top left', () => {
+      let transform = {
+        translateX: 0,
+        translateY: 0,
+        rotate: 0.5,
+        skew: 0.3,
+        scaleX: 2,
+        scaleY: 1.5
+      };
+      let [a, b, c, d] = toMatrix(transform);
+
+      // Around 50px 25px, the top left corner moves by the origin less
+      // where the origin is taken.
+      let expected = Object.assign({}, transform, {
+        translateX: 50 - (a * 50 + c * 25),
+        translateY: 25 - (b * 50 + d * 25)
+      });
+
+      assertClose(decompose(`matrix(${a}, ${b}, ${c}, ${d}, 0, 0)`,
+          '50px 25px'), expected);
+    });
+
+    it('reads the 2D part of a 3D matrix', () => {
+      let matrix = 'matrix3d(2, 0, 0, 0, 0, 3, 0, 0, 0, 0, 1, 0, 10, 20, 0, 1)';
+
+      assertClose(decompose(matrix), {
+        translateX: 10,
+        translateY: 20,
+        rotate: 0,
+        skew: 0,
+        scaleX: 2,
+        scaleY: 3
+      });
+    });
+
+    it('flips the x scale for a mirrored matrix', () => {
+      assertClose(decompose('matrix(-1, 0, 0, 1, 0, 0)'), {
+        translateX: 0,
+        translateY: 0,
+        rotate: 0,
+        skew: 0,
+        scaleX: -1,
+        scaleY: 1
+      });
+    });
+
+    it('rebuilds a mirrored, rotated matrix', () => {
+      let matrix = [-1.2, 0.5, 0.3, 0.9, 4, 5];
+      let rebuilt = toMatrix(decompose(`matrix(${matrix.join(', ')})`));
+
+      assertClose(rebuilt, matrix);
+    });
+  });
+
+  describe('interpolateTransform()', () => {
+
+    let from = Object.assign(decompose('none'), { rotate: 3 });
+    let to = Object.assign(decompose('none'), { rotate: -3 });
+
+    it('interpolates every part', () => {
+      let start = decompose('matrix(1, 0, 0, 1, 0, 0)');
+      let end = decompose('matrix(2, 0, 0, 4, 10, 20)');
+
+      assertClose(interpolateTransform(start, end, 0.5), {
+        translateX: 5,
+        translateY: 10,
+        rotate: 0,
+        skew: 0,
+        scaleX: 1.5,
+        scaleY: 2.5
+      });
+    });
+
+    it('rotates the short way round across π', () => {
+      assertClose(interpolateTransform(from, to, 0.5), { rotate: Math.PI });
+    });
+
+    it('rotates the short way round across -π', () => {
+      assertClose(interpolateTransform(to, from, 0.5), { rotate: -Math.PI });
+    });
+  });
+
+  describe('isIdentity()', () => {
+
+    it('ignores rounding errors', () => {
+      assert.ok(isIdentity(decompose('matrix(1, 0, 0, 1, 0.0000001, 0)')));
+    });
+
+    it('spots any change', () => {
+      assert.ok(!isIdentity(decompose('matrix(1, 0, 0, 1, 1, 0)')));
+      assert.ok(!isIdentity(decompose('matrix(-1, 0, 0, 1, 0, 0)')));
+    });
+  });
+
+  describe('toCSS()', () => {
+
+    it('writes the parts in order', () => {
+      assert.equal(toCSS({
+        translateX: 10,
+        translateY: 20,
+        rotate: 0.5,
+        skew: 0.25,
+        scaleX: 2,
+        scaleY: -1
+      }), 'translate(10px, 20px) rotate(0.5rad) skewX(0.25rad) ' +
+          'scale(2, -1)');
+    });
+  });
+});
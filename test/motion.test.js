@@ -0,0 +1,187 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { isMotionReduced } from '../src/motion';
+import { FLIP, createFlip, cleanUp } from './helpers';
+
+describe('Reduced motion', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+  });
+
+  afterEach(() => {
+    FLIP.setMotionPolicy('auto');
+    delete window.matchMedia;
+    cleanUp();
+  });
+
+  /**
+   * Creates a helper, ready to play, that moves an element down 100px and
+   * fades it to half opacity.
+   */
+  function createFadingFlip (options={}) {
+    return createFlip(Object.assign({ duration: 1000, clock }, options),
+        'faded');
+  }
+
+  describe('policy', () => {
+
+    it('follows prefers-reduced-motion by default', () => {
+      assert.equal(isMotionReduced(), false);
+
+      window.matchMedia = query => ({
+        matches: query === '(prefers-reduced-motion: reduce)'
+      });
+
+      assert.equal(isMotionReduced(), true);
+    });
+
+    it('can be overridden', () => {
+      window.matchMedia = () => ({ matches: true });
+
+      FLIP.setMotionPolicy('full');
+      assert.equal(isMotionReduced(), false);
+
+      window.matchMedia = () => ({ matches: false });
+
+      FLIP.setMotionPolicy('reduce');
+      assert.equal(isMotionReduced(), true);
+    });
+
+    it('rejects unknown policies', () => {
+      assert.throws(() => FLIP.setMotionPolicy('none'),
+          /Unknown motion policy: none/);
+    });
+  });
+
+  describe('jump', () => {
+
+    beforeEach(() => {
+      FLIP.setMotionPolicy('reduce');
+    });
+
+    it('shows the end straight away', () => {
+      let flip = createFadingFlip();
+
+      flip.play();
+      assert.equal(flip.element_.style.transform,
+          'translate(0px, 0px) scale(1, 1)');
+      assert.equal(flip.element_.style.opacity, '0.5');
+    });
+
+    it('completes on the next frame, in the usual order', () => {
+      let calls = [];
+      let flip = createFadingFlip({
+        onStart: () => calls.push('start'),
+        onComplete: () => calls.push('complete')
+      });
+
+      flip.element_.addEventListener('flipComplete', () => {
+        calls.push('flipComplete');
+      });
+
+      let played = flip.play().then(() => calls.push('resolved'));
+
+      clock.tick();
+
+      return played.then(() => {
+        assert.deepEqual(calls,
+            ['start', 'flipComplete', 'complete', 'resolved']);
+        assert.equal(flip.element_.style.transform, '');
+      });
+    });
+
+    it('ignores the stagger of a group', () => {
+      let flips = [createFadingFlip(), createFadingFlip(), createFadingFlip()];
+      let group = FLIP.group(flips, { stagger: 100 });
+      let played = group.play();
+
+      clock.tick();
+      return played;
+    });
+
+    it('puts the timing back afterwards', () => {
+      let flip = createFadingFlip({ delay: 50, easing: 'ease-in' });
+      let easing = flip.easing_;
+
+      flip.play();
+      clock.tick();
+
+      assert.equal(flip.duration_, 1000);
+      assert.equal(flip.delay_, 50);
+      assert.equal(flip.easing_, easing);
+      assert.equal(flip.easingName_, 'ease-in');
+    });
+  });
+
+  describe('fade', () => {
+
+    beforeEach(() => {
+      FLIP.setMotionPolicy('reduce');
+    });
+
+    it('fades in at the Last position', () => {
+      let flip = createFadingFlip({ reducedMotion: 'fade', opacity: false });
+
+      flip.play();
+      assert.equal(flip.element_.style.transform,
+          'translate(0px, 0px) scale(1, 1)');
+      assert.equal(flip.element_.style.opacity, '0');
+
+      clock.tick(75);
+      assert.equal(flip.element_.style.opacity, '0.25');
+    });
+
+    it('is short', () => {
+      let flip = createFadingFlip({ reducedMotion: 'fade' });
+      let played = flip.play();
+
+      clock.advance(150);
+
+      return played.then(() => {
+        assert.equal(flip.element_.style.opacity, '');
+        assert.equal(flip.updateOpacity_, true);
+      });
+    });
+
+    it('animates in full again once motion is allowed', () => {
+      let flip = createFadingFlip({ reducedMotion: 'fade', opacity: false });
+
+      flip.play();
+      clock.advance(150);
+
+      FLIP.setMotionPolicy('full');
+      flip.first();
+      flip.element_.setLayout({ left: 0, top: 200, width: 100, height: 100 });
+      flip.last();
+      flip.invert();
+      flip.play();
+      clock.tick(500);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(0px, -50px) scale(1, 1)');
+      assert.equal(flip.element_.style.opacity, '');
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp } from './helpers';
+
+describe('FLIP.observe()', () => {
+
+  let clock;
+  let root;
+  let observer;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+    root = createElement({ left: 0, top: 0, width: 500, height: 500 });
+  });
+
+  afterEach(() => {
+    if (observer)
+      observer.disconnect();
+
+    observer = null;
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Adds a marked element to the root.
+   */
+  function addMarked (layout, attributes={}) {
+    let element = createElement(layout);
+
+    element.setAttribute('data-flip', '');
+    Object.keys(attributes).forEach(name => {
+      element.setAttribute(name, attributes[name]);
+    });
+
+    root.appendChild(element);
+    return element;
+  }
+
+  /**
+   * Waits for the mutation observer to be told about changes.
+   */
+  function mutations () {
+    return new Promise(resolve => setTimeout(resolve));
+  }
+
+  it('requires a root', () => {
+    assert.throws(() => FLIP.observe(), /Root element must be provided/);
+  });
+
+  it('animates marked elements that a change moves', () => {
+    let moved = addMarked({ left: 0, top: 0, width: 100, height: 100 });
+    let still = addMarked({ left: 0, top: 200, width: 100, height: 100 });
+
+    observer = FLIP.observe(root, { duration: 100 });
+
+    moved.setLayout({ left: 100, top: 0, width: 100, height: 100 });
+    root.classList.add('wide');
+
+    return mutations().then(() => {
+      assert.equal(observer.flips_.get(moved).playing_, true);
+      assert.equal(observer.flips_.get(still).playing_, false);
+      assert.equal(moved.style.transform,
+          'translate(-100px, 0px) scale(1, 1)');
+      assert.equal(still.style.transform, '');
+    });
+  });
+
+  it('takes options from the element', () => {
+    let element = addMarked(undefined, {
+      'data-flip-duration': '500',
+      'data-flip-delay': '20',
+      'data-flip-easing': 'ease-out'
+    });
+
+    observer = FLIP.observe(root);
+
+    let flip = observer.flips_.get(element);
+
+    assert.equal(flip.duration_, 500);
+    assert.equal(flip.delay_, 20);
+    assert.equal(flip.easingName_, 'ease-out');
+  });
+
+  it('ignores its own style changes', () => {
+    let element = addMarked();
+    let flip;
+
+    observer = FLIP.observe(root, { duration: 100 });
+
+    element.setLayout({ left: 100, top: 0, width: 100, height: 100 });
+    root.classList.add('wide');
+
+    return mutations().then(() => {
+      flip = observer.flips_.get(element);
+      clock.tick(50);
+      return mutations();
+    }).then(() => {
+      assert.equal(flip.start_, 0);
+      clock.advance(50);
+      return mutations();
+    }).then(() => {
+      assert.equal(flip.playing_, false);
+      assert.equal(element.style.transform, '');
+    });
+  });
+
+  it('ignores its own changes to counter-scaled children', () => {
+    let element = addMarked();
+    let inner = document.createElement('div');
+    let events = [];
+
+    inner.className = 'inner';
+    element.appendChild(inner);
+    ['flipInterrupt', 'flipComplete'].forEach(name => {
+      element.addEventListener(name, () => events.push(name));
+    });
+
+    observer = FLIP.observe(root, { duration: 100,
+        scaleCorrection: { children: '.inner' } });
+
+    element.setLayout({ left: 0, top: 0, width: 200, height: 100 });
+    root.classList.add('wide');
+
+    let step = () => {
+      clock.tick(16);
+      return mutations();
+    };
+
+    return mutations()
+        .then(() => assert.ok(inner.style.transform.includes('scale(2, 1)')))
+        .then(step).then(step).then(step).then(step)
+        .then(() => {
+          clock.advance(100);
+          return mutations();
+        })
+        .then(() => {
+          assert.deepEqual(events, ['flipComplete']);
+          assert.equal(inner.style.transform, '');
+        });
+  });
+
+  it('carries on from where an animation got to', () => {
+    let element = addMarked();
+
+    observer = FLIP.observe(root, { duration: 100 });
+
+    element.setLayout({ left: 100, top: 0, width: 100, height: 100 });
+    root.classList.add('wide');
+
+    return mutations().then(() => {
+      clock.tick(50);
+
+      // Halfway across, the element is sent back.
+      element.setLayout({ left: 0, top: 0, width: 100, height: 100 });
+      root.classList.remove('wide');
+      return mutations();
+    }).then(() => {
+      let flip = observer.flips_.get(element);
+
+      assert.equal(flip.playing_, true);
+      assert.equal(flip.invert_.x, 50);
+    });
+  });
+
+  it('snapshots new elements and forgets removed ones', () => {
+    let removed = addMarked();
+
+    observer = FLIP.observe(root);
+
+    let added = addMarked({ left: 0, top: 100, width: 100, height: 100 });
+    root.removeChild(removed);
+
+    return mutations().then(() => {
+      assert.equal(observer.flips_.has(removed), false);
+      assert.equal(observer.flips_.get(added).playing_, false);
+      assert.deepEqual(observer.snapshots_.get(added).layout,
+          { left: 0, top: 100, width: 100, height: 100 });
+    });
+  });
+
+  it('can find elements with a selector instead', () => {
+    let element = createElement();
+    let marked = addMarked();
+
+    root.appendChild(element);
+    observer = FLIP.observe(root, { selector: ':scope > :not([data-flip])' });
+
+    assert.equal(observer.flips_.has(element), true);
+    assert.equal(observer.flips_.has(marked), false);
+  });
+
+  it('stops watching once disconnected', () => {
+    let element = addMarked();
+
+    observer = FLIP.observe(root);
+    observer.disconnect();
+
+    element.setLayout({ left: 100, top: 0, width: 100, height: 100 });
+    root.classList.add('wide');
+
+    return mutations().then(() => {
+      assert.equal(observer.flips_.get(element).playing_, false);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { parsePresence } from '../src/presence';
+import { FLIP, createElement, cleanUp } from './helpers';
+
+describe('Entering and exiting', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+  });
+
+  afterEach(() => {
+    FLIP.setClock(null);
+    FLIP.setMotionPolicy('auto');
+    cleanUp();
+  });
+
+  /**
+   * Hides an element, the way jsdom would lay it out if it did layout.
+   */
+  function hide (element) {
+    element.style.display = 'none';
+    element.setLayout({ left: 0, top: 0, width: 0, height: 0 });
+  }
+
+  describe('parsePresence()', () => {
+
+    it('fills in the defaults', () => {
+      assert.equal(parsePresence(null), null);
+      assert.deepEqual(parsePresence({ scale: 0.5 }),
+          { opacity: null, scale: 0.5, origin: 'center', x: 0, y: 0 });
+    });
+
+    it('knows the presets', () => {
+      assert.equal(parsePresence('fade').opacity, 0);
+      assert.equal(parsePresence('scale').scale, 0);
+      assert.equal(parsePresence('slide-left').x, '-100%');
+      assert.equal(parsePresence('slide-bottom').y, '100%');
+    });
+
+    it('rejects unknown presets', () => {
+      assert.throws(() => new FLIP({ element: createElement(), enter: 'spin' }),
+          /Unknown enter or exit preset: spin/);
+    });
+  });
+
+  describe('enter', () => {
+
+    it('fades in an element that has no First snapshot', () => {
+      let element = createElement();
+      let flip = new FLIP({ element, duration: 100, enter: 'fade' });
+
+      flip.last();
+      flip.invert();
+
+      assert.equal(element.style.opacity, '0');
+      assert.equal(element.style.transform, 'translate(0px, 0px) scale(1, 1)');
+
+      flip.play();
+      clock.advance(50);
+
+      assert.equal(element.style.opacity, '0.5');
+    });
+
+    it('scales up from a point', () => {
+      let element = createElement();
+      let flip = new FLIP({
+        element,
+        enter: { scale: 0, origin: 'top right' }
+      });
+
+      flip.last();
+      flip.invert();
+
+      assert.ok(element.style.transform.includes(
+          'translate(100px, 0px) rotate(0rad) skewX(0rad) scale(0, 0)'));
+      assert.equal(element.style.opacity, '1');
+    });
+
+    it('slides in from an edge when it was hidden', () => {
+      let element = createElement();
+      let flip = new FLIP({ element, enter: 'slide-left' });
+
+      hide(element);
+      flip.first();
+
+      element.style.display = '';
+      element.setLayout({ left: 0, top: 0, width: 100, height: 100 });
+      flip.last();
+      flip.invert();
+
+      assert.ok(element.style.transform.includes('translate(-100px, 0px)'));
+    });
+  });
+
+  describe('exit', () => {
+
+    /**
+     * Creates a helper for an element that gets hidden, ready to play.
+     */
+    function createExitingFlip (options={}) {
+      let element = createElement({ left: 0, top: 50, width: 100,
+          height: 100 });
+      let flip = new FLIP(Object.assign({ element, duration: 100 }, options));
+
+      flip.first();
+      hide(element);
+      flip.last();
+      flip.invert();
+
+      return flip;
+    }
+
+    it('holds a hidden element where it was', () => {
+      let flip = createExitingFlip({ exit: 'fade' });
+      let style = flip.element_.style;
+
+      assert.equal(style.display, 'block');
+      assert.equal(style.position, 'absolute');
+      assert.equal(style.top, '50px');
+      assert.equal(style.width, '100px');
+      assert.equal(style.opacity, '1');
+    });
+
+    it('holds every element in a batch before measuring any', () => {
+      let elements = [createElement(), createElement()];
+      let flips = elements.map(element => new FLIP({ element, exit: 'fade' }));
+      let held = [];
+
+      elements.forEach(element => {
+        let measure = element.getBoundingClientRect;
+
+        element.getBoundingClientRect = () => {
+          held.push(elements.map(each => each.style.position));
+          return measure();
+        };
+      });
+
+      flips.forEach(flip => flip.first());
+      elements.forEach(hide);
+      held = [];
+
+      FLIP.batch(() => {
+        flips.forEach(flip => flip.last());
+        flips.forEach(flip => flip.invert());
+      });
+
+      assert.deepEqual(held.slice(2), [
+        ['absolute', 'absolute'],
+        ['absolute', 'absolute']
+      ]);
+    });
+
+    it('animates out, then hides the element again', () => {
+      let flip = createExitingFlip({ exit: 'fade' });
+      let style = flip.element_.style;
+      let played = flip.play();
+
+      clock.advance(50);
+      assert.equal(style.opacity, '0.5');
+
+      clock.advance(50);
+
+      return played.then(() => {
+        assert.equal(style.cssText, 'display: none;');
+      });
+    });
+
+    it('slides out to an edge', () => {
+      let flip = createExitingFlip({ exit: 'slide-bottom' });
+
+      flip.play();
+      clock.advance(50);
+
+      assert.ok(flip.element_.style.transform.includes(
+          'translate(0px, 50px) rotate(0rad)'));
+    });
+
+    it('leaves an element that\'s still there where it is', () => {
+      let element = createElement();
+      let flip = new FLIP({ element, duration: 100, exit: 'scale' });
+
+      flip.first();
+      flip.invert();
+
+      assert.equal(element.style.position, '');
+
+      let played = flip.play();
+      clock.advance(100);
+
+      return played;
+    });
+
+    it('fades out where it starts when motion is reduced', () => {
+      FLIP.setMotionPolicy('reduce');
+
+      let flip = createExitingFlip({ exit: 'slide-left',
+          reducedMotion: 'fade' });
+
+      flip.play();
+      clock.advance(50);
+
+      assert.equal(flip.element_.style.opacity, '0.5');
+      assert.ok(!flip.element_.style.transform.includes('-50px'));
+    });
+  });
+
+  it('does not scale along an axis with no size', () => {
+    let element = createElement();
+    let flip = new FLIP({ element });
+
+    flip.first();
+    element.setLayout({ left: 0, top: 0, width: 0, height: 100 });
+    flip.last();
+    flip.invert();
+
+    assert.equal(flip.invert_.sx, 1);
+    assert.ok(!element.style.transform.includes('Infinity'));
+  });
+});
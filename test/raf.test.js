@@ -0,0 +1,256 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp, recordEvents } from './helpers';
+
+describe('rAF player', () => {
+
+  let clock;
+  let flip;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock(1000);
+
+    let element = createElement({ left: 0, top: 0, width: 100, height: 100 });
+    flip = new FLIP({ element, duration: 100, clock });
+
+    flip.first();
+    element.setLayout({ left: 100, top: 200, width: 50, height: 400 });
+    flip.last('faded');
+    flip.invert();
+  });
+
+  afterEach(() => {
+    cleanUp();
+  });
+
+  it('writes the interpolated styles every frame', () => {
+    flip.play();
+    clock.tick(25);
+
+    assert.equal(flip.element_.style.transform,
+        'translate(-75px, -150px) scale(1.75, 0.4375)');
+    assert.equal(flip.element_.style.opacity, '0.875');
+
+    clock.tick(25);
+
+    assert.equal(flip.element_.style.transform,
+        'translate(-50px, -100px) scale(1.5, 0.625)');
+    assert.equal(flip.element_.style.opacity, '0.75');
+  });
+
+  it('applies the easing', () => {
+    flip.easing_ = t => t * t;
+    flip.play();
+    clock.tick(50);
+
+    assert.equal(flip.element_.style.transform,
+        'translate(-75px, -150px) scale(1.75, 0.4375)');
+  });
+
+  it('counter-scales children and corrects the border radius', () => {
+    let element = createElement({ left: 0, top: 0, width: 100, height: 100 });
+    let child = document.createElement('span');
+
+    // jsdom doesn't expand the shorthand.
+    ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'].forEach(corner => {
+      element.style[`border${corner}Radius`] = '4px';
+    });
+    element.appendChild(child);
+
+    flip = new FLIP({
+      element,
+      duration: 100,
+      clock,
+      scaleCorrection: { children: 'span', borderRadius: true }
+    });
+    flip.first();
+    element.setLayout({ left: 0, top: 0, width: 400, height: 25 });
+    flip.last();
+    flip.invert();
+    flip.play();
+    clock.tick(50);
+
+    assert.equal(element.style.transform,
+        'translate(0px, 0px) scale(0.625, 2.5)');
+    assert.equal(child.style.transform, 'scale(1.6, 0.4)');
+    assert.equal(element.style.borderRadius,
+        '6.4px 6.4px 6.4px 6.4px / 1.6px 1.6px 1.6px 1.6px');
+  });
+
+  it('uses only the clock it was given', () => {
+    let globalClock = new FLIP.VirtualClock();
+
+    FLIP.setClock(globalClock);
+    flip.play();
+    globalClock.advance(100);
+    FLIP.setClock(null);
+
+    assert.equal(flip.playing_, true);
+  });
+
+  it('waits for the delay', () => {
+    flip.delay_ = 50;
+    flip.play();
+    clock.tick(50);
+
+    assert.equal(flip.element_.style.transform,
+        'translate(-100px, -200px) scale(2, 0.25)');
+
+    clock.tick(25);
+
+    assert.equal(flip.element_.style.transform,
+        'translate(-75px, -150px) scale(1.75, 0.4375)');
+  });
+
+  it('starts at the given start time', () => {
+    flip.play(975);
+    clock.tick(25);
+
+    assert.equal(flip.element_.style.transform,
+        'translate(-50px, -100px) scale(1.5, 0.625)');
+  });
+
+  it('completes once the duration has passed', () => {
+    let events = recordEvents(flip.element_, ['flipComplete']);
+
+    flip.play();
+    clock.advance(75, 25);
+    assert.deepEqual(events, []);
+
+    clock.tick(25);
+    assert.deepEqual(events, ['flipComplete']);
+    assert.equal(clock.callbacks_.size, 0);
+  });
+
+  describe('controls', () => {
+
+    it('pauses and resumes where it left off', () => {
+      flip.play();
+      clock.tick(25);
+      flip.pause();
+      clock.advance(500);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-75px, -150px) scale(1.75, 0.4375)');
+
+      flip.resume();
+      clock.tick(25);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-50px, -100px) scale(1.5, 0.625)');
+    });
+
+    it('seeks, staying paused if paused', () => {
+      flip.play();
+      flip.pause();
+      flip.seek(0.5);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-50px, -100px) scale(1.5, 0.625)');
+
+      clock.advance(100);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-50px, -100px) scale(1.5, 0.625)');
+    });
+
+    it('seeks, carrying on from there if playing', () => {
+      flip.play();
+      flip.seek(0.5);
+      clock.tick(25);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-25px, -50px) scale(1.25, 0.8125)');
+    });
+
+    it('reverses back to the start and completes', () => {
+      let events = recordEvents(flip.element_, ['flipComplete']);
+
+      flip.play();
+      clock.tick(50);
+      flip.reverse();
+      clock.tick(25);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-75px, -150px) scale(1.75, 0.4375)');
+
+      clock.tick(25);
+      assert.deepEqual(events, ['flipComplete']);
+    });
+
+    it('keeps the rest of the delay when paused', () => {
+      flip.delay_ = 50;
+      flip.play();
+      clock.tick(20);
+      flip.pause();
+      clock.advance(500);
+      flip.resume();
+      clock.tick(25);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-100px, -200px) scale(2, 0.25)');
+
+      clock.tick(30);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-75px, -150px) scale(1.75, 0.4375)');
+    });
+
+    it('waits out the delay when reversed during it', () => {
+      let events = recordEvents(flip.element_, ['flipComplete']);
+
+      flip.delay_ = 50;
+      flip.play();
+      clock.tick(20);
+      flip.reverse();
+      clock.tick(16);
+
+      assert.deepEqual(events, []);
+      assert.equal(flip.element_.style.transform,
+          'translate(-100px, -200px) scale(2, 0.25)');
+
+      clock.tick(16);
+      assert.deepEqual(events, ['flipComplete']);
+    });
+
+    it('plays as normal when reversed twice during the delay', () => {
+      flip.delay_ = 50;
+      flip.play();
+      clock.tick(20);
+      flip.reverse();
+      clock.tick(10);
+      flip.reverse();
+      clock.tick(45);
+
+      assert.equal(flip.element_.style.transform,
+          'translate(-75px, -150px) scale(1.75, 0.4375)');
+    });
+
+    it('cancels the frame loop', () => {
+      flip.play();
+      clock.tick(25);
+      flip.cancel();
+
+      assert.equal(clock.callbacks_.size, 0);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { schedule, read, write, batch } from '../src/scheduler';
+import { FLIP, createElement, cleanUp } from './helpers';
+
+describe('Scheduler', () => {
+
+  it('runs steps straight away outside of a batch', () => {
+    let log = [];
+
+    schedule({}, [
+      read(() => log.push('read')),
+      write(() => log.push('write'))
+    ]);
+    assert.deepEqual(log, ['read', 'write']);
+  });
+
+  it('runs all the reads, then all the writes, at the end of a batch', () => {
+    let log = [];
+
+    batch(() => {
+      schedule({}, [read(() => log.push('read a')),
+          write(() => log.push('write a'))]);
+      schedule({}, [read(() => log.push('read b')),
+          write(() => log.push('write b'))]);
+
+      assert.deepEqual(log, []);
+    });
+
+    assert.deepEqual(log, ['read a', 'read b', 'write a', 'write b']);
+  });
+
+  it('keeps each owner\'s steps in order', () => {
+    let log = [];
+    let owner = {};
+
+    batch(() => {
+      schedule(owner, [write(() => log.push('write a'))]);
+      schedule(owner, [read(() => log.push('read a'))]);
+      schedule({}, [read(() => log.push('read b'))]);
+    });
+
+    assert.deepEqual(log, ['read b', 'write a', 'read a']);
+  });
+
+  it('waits for the outermost batch', () => {
+    let log = [];
+
+    batch(() => {
+      batch(() => schedule({}, [read(() => log.push('read'))]));
+      assert.deepEqual(log, []);
+    });
+
+    assert.deepEqual(log, ['read']);
+  });
+
+  it('drops the steps of a batch that failed', () => {
+    let log = [];
+
+    assert.throws(() => {
+      batch(() => {
+        schedule({}, [read(() => {
+          throw new Error('Failed');
+        })]);
+        schedule({}, [write(() => log.push('write'))]);
+      });
+    }, /Failed/);
+
+    batch(() => {});
+    assert.deepEqual(log, []);
+  });
+
+  describe('with FLIP helpers', () => {
+
+    let warn;
+    let warnings;
+
+    beforeEach(() => {
+      warn = console.warn;
+      warnings = [];
+      console.warn = (...args) => warnings.push(args);
+    });
+
+    afterEach(() => {
+      console.warn = warn;
+      FLIP.setDebug(false);
+      cleanUp();
+    });
+
+    /**
+     * Creates helpers whose elements log being measured, along with whether
+     * any other element had been inverted by then.
+     */
+    function createFlips (count, log) {
+
+      let flips = [];
+
+      for (let i = 0; i < count; i++) {
+        let element = createElement();
+        let measure = element.getBoundingClientRect;
+
+        element.getBoundingClientRect = () => {
+          let inverted = flips.some(flip => flip.element_.style.transform);
+          log.push(inverted ? 'measure after invert' : 'measure');
+          return measure();
+        };
+
+        flips.push(new FLIP({ element }));
+      }
+
+      return flips;
+    }
+
+    it('measures every helper before inverting any', () => {
+      let log = [];
+      let flips = createFlips(2, log);
+
+      FLIP.batch(() => flips.forEach(flip => flip.first()));
+      flips.forEach(flip => flip.element_.setLayout({
+        left: 0, top: 100, width: 100, height: 100
+      }));
+
+      FLIP.batch(() => {
+        flips.forEach(flip => {
+          flip.last('faded');
+          flip.invert();
+        });
+      });
+
+      assert.deepEqual(log, ['measure', 'measure', 'measure', 'measure']);
+      flips.forEach(flip => {
+        assert.equal(flip.last_.opacity, 0.5);
+        assert.equal(flip.element_.style.transform,
+            'translate(0px, -100px) scale(1, 1)');
+      });
+    });
+
+    it('keeps snapshot() in order inside a batch', () => {
+      let flips = createFlips(2, []);
+
+      FLIP.batch(() => flips.forEach(flip => flip.snapshot('faded')));
+
+      flips.forEach(flip => {
+        assert.equal(flip.first_.opacity, 1);
+        assert.equal(flip.last_.opacity, 0.5);
+      });
+    });
+
+    it('reports forced layouts outside of batches in debug mode', () => {
+      let flips = createFlips(2, []);
+
+      FLIP.setDebug(true);
+      flips.forEach(flip => flip.last('faded'));
+
+      assert.equal(FLIP.stats().forcedLayouts, 2);
+      assert.equal(warnings.length, 2);
+      assert.equal(warnings[0][1], flips[0].element_);
+    });
+
+    it('forces one layout for a whole batch', () => {
+      let flips = createFlips(3, []);
+
+      FLIP.setDebug(true);
+      FLIP.batch(() => flips.forEach(flip => flip.last('faded')));
+
+      assert.equal(FLIP.stats().forcedLayouts, 1);
+      assert.equal(warnings.length, 0);
+    });
+
+    it('takes transforms off every element before measuring any', () => {
+      let log = [];
+      let elements = [createElement(), createElement(), createElement()];
+
+      elements.forEach(element => {
+        let measure = element.getBoundingClientRect;
+
+        element.style.transform = 'rotate(45deg)';
+        element.getBoundingClientRect = () => {
+          log.push(elements.map(each => each.style.transform).join());
+          return measure();
+        };
+      });
+
+      FLIP.setDebug(true);
+      FLIP.batch(() => {
+        elements.forEach(element => new FLIP({ element }).first());
+      });
+
+      assert.deepEqual(log, ['none,none,none', 'none,none,none',
+          'none,none,none']);
+      assert.equal(FLIP.stats().forcedLayouts, 1);
+      elements.forEach(element => {
+        assert.equal(element.style.transform, 'rotate(45deg)');
+      });
+    });
+
+    it('says nothing unless debugging', () => {
+      let flips = createFlips(2, []);
+
+      FLIP.setDebug(false);
+      flips.forEach(flip => flip.last('faded'));
+
+      assert.equal(FLIP.stats().forcedLayouts, 0);
+      assert.equal(warnings.length, 0);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Compile the sources and tests the same way the bundle does, and give them
+// a DOM to work with.
+require('babel-register')({ presets: ['es2015'] });
+
+var JSDOM = require('jsdom').JSDOM;
+var dom = new JSDOM('<!DOCTYPE html>' +
+    '<head><style>div { opacity: 1; } .faded { opacity: 0.5; }</style></head>' +
+    '<body></body>');
+
+global.window = dom.window;
+global.document = dom.window.document;
+global.CustomEvent = dom.window.CustomEvent;
+global.HTMLElement = dom.window.HTMLElement;
+global.navigator = dom.window.navigator;
@@ -0,0 +1,140 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp } from './helpers';
+
+describe('Shared element transitions', () => {
+
+  let clock;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+  });
+
+  afterEach(() => {
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  /**
+   * Creates a small source and a big target, and a transition between them.
+   */
+  function createTransition (options={}) {
+    let source = createElement({ left: 0, top: 0, width: 50, height: 50 });
+    let target = createElement({ left: 100, top: 200, width: 200,
+        height: 100 });
+    let transition = FLIP.shared(source, Object.assign({ target,
+        duration: 100 }, options));
+
+    return { source, target, transition };
+  }
+
+  it('needs a source and a target', () => {
+    assert.throws(() => FLIP.shared(), /Source element must be provided/);
+    assert.throws(() => FLIP.shared(createElement()).last(),
+        /Target element must be provided/);
+  });
+
+  it('starts the target from the source\'s position and size', () => {
+    let { source, target, transition } = createTransition();
+
+    transition.first();
+    transition.last();
+    transition.invert();
+
+    assert.equal(target.style.transform,
+        'translate(-100px, -200px) scale(0.25, 0.5)');
+    assert.equal(source.style.visibility, 'hidden');
+  });
+
+  it('shows the source again when done', () => {
+    let { source, transition } = createTransition();
+
+    source.style.visibility = 'visible';
+    transition.first();
+    transition.last();
+    transition.invert();
+
+    let played = transition.play();
+    clock.advance(116);
+
+    return played.then(() => {
+      assert.equal(source.style.visibility, 'visible');
+    });
+  });
+
+  it('crossfades a copy of the source into the target', () => {
+    let { target, transition } = createTransition({ crossfade: true });
+
+    transition.first();
+    transition.last();
+    transition.invert();
+
+    let ghosts = Array.from(document.body.children)
+        .filter(child => child.style.position === 'fixed');
+
+    assert.equal(ghosts.length, 1);
+    assert.equal(target.style.opacity, '0');
+
+    let played = transition.play();
+    clock.advance(116);
+
+    return played.then(() => {
+      assert.equal(ghosts[0].parentNode, null);
+    });
+  });
+
+  it('tidies up when cancelled before playing', () => {
+    let { source, transition } = createTransition({ crossfade: true,
+        removeSource: true });
+
+    transition.first();
+    transition.last();
+    transition.invert();
+    transition.cancel();
+
+    assert.equal(document.body.children.length, 1);
+    assert.equal(source.parentNode, null);
+  });
+
+  it('measures inside a batch', () => {
+    let { source, target, transition } = createTransition({
+        crossfade: true });
+
+    FLIP.batch(() => {
+      transition.first();
+      transition.last();
+      transition.invert();
+    });
+
+    assert.equal(target.style.transform,
+        'translate(-100px, -200px) scale(0.25, 0.5)');
+    assert.equal(source.style.visibility, 'hidden');
+    assert.equal(document.body.children.length, 3);
+  });
+
+  it('still needs first() before last()', () => {
+    let { transition } = createTransition();
+
+    assert.throws(() => transition.last(), /first\(\) before last\(\)/);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { getTicker } from '../src/ticker';
+import { FLIP, createFlip, cleanUp } from './helpers';
+
+describe('Ticker', () => {
+
+  let clock;
+  let ticker;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    ticker = getTicker(clock);
+  });
+
+  /**
+   * Creates an animation that logs its reads and writes.
+   */
+  function createAnimation (name, log) {
+    return {
+      read_: now => {
+        log.push(`read ${name}`);
+        return now;
+      },
+      write_: frame => log.push(`write ${name} ${frame}`)
+    };
+  }
+
+  it('has one ticker per clock', () => {
+    assert.equal(getTicker(clock), ticker);
+    assert.notEqual(getTicker(new FLIP.VirtualClock()), ticker);
+  });
+
+  it('reads every animation before writing any', () => {
+    let log = [];
+
+    ticker.add(createAnimation('a', log));
+    ticker.add(createAnimation('b', log));
+    clock.tick(16);
+
+    assert.deepEqual(log, ['read a', 'read b', 'write a 16', 'write b 16']);
+  });
+
+  it('uses one frame callback for every animation', () => {
+    let log = [];
+
+    ticker.add(createAnimation('a', log));
+    ticker.add(createAnimation('b', log));
+
+    assert.equal(clock.callbacks_.size, 1);
+  });
+
+  it('stops asking for frames once idle', () => {
+    let animation = createAnimation('a', []);
+
+    ticker.add(animation);
+    clock.tick();
+    ticker.remove(animation);
+
+    assert.equal(clock.callbacks_.size, 0);
+  });
+
+  it('skips animations removed by an earlier write', () => {
+    let log = [];
+    let b = createAnimation('b', log);
+
+    ticker.add({
+      read_: () => log.push('read a'),
+      write_: () => ticker.remove(b)
+    });
+    ticker.add(b);
+    clock.tick();
+
+    assert.deepEqual(log, ['read a', 'read b']);
+    assert.equal(ticker.size, 1);
+  });
+
+  it('runs animations added during a frame from the next one', () => {
+    let log = [];
+    let b = createAnimation('b', log);
+
+    ticker.add({
+      read_: () => {},
+      write_: () => ticker.add(b)
+    });
+    clock.tick(16);
+
+    assert.deepEqual(log, []);
+    assert.equal(clock.callbacks_.size, 1);
+
+    clock.tick(16);
+    assert.deepEqual(log, ['read b', 'write b 32']);
+  });
+
+  describe('with the rAF player', () => {
+
+    afterEach(() => {
+      cleanUp();
+    });
+
+    it('runs every helper from the same frame', () => {
+      let flips = [1, 2, 3].map(() => createFlip({ clock }));
+
+      flips.forEach(flip => flip.play());
+
+      assert.equal(ticker.size, 3);
+      assert.equal(clock.callbacks_.size, 1);
+
+      clock.tick(50);
+      flips.forEach(flip => {
+        assert.equal(flip.element_.style.transform,
+            'translate(0px, -50px) scale(1, 1)');
+      });
+    });
+
+    it('lets go of helpers once they finish', () => {
+      let flip = createFlip({ clock });
+
+      flip.play();
+      clock.advance(100);
+
+      assert.equal(ticker.size, 0);
+      assert.equal(flip.ticker_, null);
+      assert.equal(clock.callbacks_.size, 0);
+    });
+
+    it('lets go of helpers that are paused or cancelled', () => {
+      let paused = createFlip({ clock });
+      let cancelled = createFlip({ clock });
+
+      paused.play();
+      cancelled.play();
+
+      paused.pause();
+      cancelled.cancel();
+
+      assert.equal(ticker.size, 0);
+      assert.equal(clock.callbacks_.size, 0);
+
+      paused.resume();
+      assert.equal(ticker.size, 1);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Copyright 2016 Google Inc. All rights reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/* eslint-env mocha */
+
+import assert from 'assert';
+import { FLIP, createElement, cleanUp, recordEvents } from './helpers';
+
+/**
+ * Stands in for a Web Animation, recording what it was asked to do.
+ */
+class FakeAnimation {
+
+  constructor (element, keyframes, timing) {
+    this.element = element;
+    this.keyframes = keyframes;
+    this.effect = { getTiming: () => timing };
+    this.currentTime = 0;
+    this.playbackRate = 1;
+    this.paused = false;
+    this.cancelled = false;
+    this.onfinish = null;
+  }
+
+  pause () {
+    this.paused = true;
+  }
+
+  play () {
+    this.paused = false;
+  }
+
+  cancel () {
+    this.cancelled = true;
+  }
+}
+
+describe('WAAPI player', () => {
+
+  let clock;
+  let flip;
+  let animations;
+
+  beforeEach(() => {
+    clock = new FLIP.VirtualClock();
+    FLIP.setClock(clock);
+
+    let element = createElement({ left: 0, top: 0, width: 100, height: 100 });
+
+    animations = [];
+    element.animate = (keyframes, timing) => {
+      let animation = new FakeAnimation(element, keyframes, timing);
+      animations.push(animation);
+      return animation;
+    };
+
+    flip = new FLIP({ element, duration: 500, delay: 100, play: 'WAAPI' });
+
+    flip.first();
+    element.setLayout({ left: 100, top: 100, width: 200, height: 200 });
+    flip.last('faded');
+    flip.invert();
+  });
+
+  afterEach(() => {
+    FLIP.setClock(null);
+    cleanUp();
+  });
+
+  it('falls back to rAF without element.animate', () => {
+    delete flip.element_.animate;
+
+    let played = flip.play();
+
+    clock.advance(624);
+    assert.equal(animations.length, 0);
+    return played;
+  });
+
+  it('animates the element back to its natural transform and opacity', () => {
+    flip.play(1000);
+
+    let animation = animations[0];
+    let keyframes = animation.keyframes;
+    let last = keyframes[keyframes.length - 1];
+
+    assert.equal(animation.element, flip.element_);
+    assert.deepEqual(animation.effect.getTiming(),
+        { duration: 500, delay: 1100, easing: 'linear', fill: 'both' });
+    assert.equal(keyframes.length, 33);
+    assert.deepEqual(keyframes[0], {
+      transform: 'translate(-100px, -100px) scale(0.5, 0.5)',
+      opacity: 1,
+      offset: 0
+    });
+    assert.deepEqual(last, {
+      transform: 'translate(0px, 0px) scale(1, 1)',
+      opacity: 0.5,
+      offset: 1
+    });
+  });
+
+  it('cleans up and resolves when the animation finishes', () => {
+    let events = recordEvents(flip.element_, ['flipComplete']);
+    let played = flip.play();
+
+    animations[0].onfinish();
+
+    assert.deepEqual(events, ['flipComplete']);
+    assert.equal(flip.element_.style.transform, '');
+    assert.equal(animations[0].cancelled, true);
+    return played;
+  });
+
+  it('hands the controls to the animation', () => {
+    flip.play();
+
+    let animation = animations[0];
+
+    flip.pause();
+    assert.equal(animation.paused, true);
+
+    flip.seek(0.5);
+    assert.equal(animation.currentTime, 350);
+
+    // Back into the delay, with 50ms of it left.
+    flip.seekTo_(50);
+    assert.equal(animation.currentTime, 50);
+
+    flip.reverse();
+    assert.equal(animation.playbackRate, -1);
+
+    flip.resume();
+    assert.equal(animation.paused, false);
+  });
+
+  it('counter-scales children and corrects the border radius', () => {
+    let element = createElement({ left: 0, top: 0, width: 100, height: 100 });
+    let child = document.createElement('span');
+
+    // jsdom doesn't expand the shorthand.
+    ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'].forEach(corner => {
+      element.style[`border${corner}Radius`] = '4px';
+    });
+    element.animate = flip.element_.animate;
+    child.animate = (keyframes, timing) => {
+      let animation = new FakeAnimation(child, keyframes, timing);
+      animations.push(animation);
+      return animation;
+    };
+    element.appendChild(child);
+
+    flip = new FLIP({
+      element,
+      duration: 160,
+      play: 'WAAPI',
+      scaleCorrection: { children: 'span', borderRadius: true }
+    });
+    flip.first();
+    element.setLayout({ left: 0, top: 0, width: 400, height: 25 });
+    flip.last();
+    flip.invert();
+    flip.play();
+
+    // Ten samples, so the sixth keyframe is halfway.
+    let [elementFrames, childFrames] = animations.map(animation => {
+      return animation.keyframes;
+    });
+
+    assert.equal(animations[1].element, child);
+    assert.deepEqual(elementFrames[5], {
+      transform: 'translate(0px, 0px) scale(0.625, 2.5)',
+      opacity: 1,
+      borderRadius: '6.4px 6.4px 6.4px 6.4px / 1.6px 1.6px 1.6px 1.6px',
+      offset: 0.5
+    });
+    assert.deepEqual(childFrames[5], {
+      transform: 'scale(1.6, 0.4)',
+      offset: 0.5
+    });
+  });
+
+  it('cancels the animation when cancelled', () => {
+    let events = recordEvents(flip.element_, ['flipCancel']);
+
+    flip.play();
+    flip.cancel();
+
+    assert.equal(animations[0].cancelled, true);
+    assert.equal(animations[0].onfinish, null);
+    assert.deepEqual(events, ['flipCancel']);
+  });
+});